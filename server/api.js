@@ -0,0 +1,72 @@
+/**
+ * Тестовый API над встроенными наборами данных
+ *
+ * Реализует тот же контракт, что ожидает createRemoteApi() (src/data/api.js):
+ * GET /api/<набор>/indexes — справочники для списков фильтров,
+ * GET /api/<набор>/records?page=&limit=&sort=&search=&filter[имя]= — {total, items, facets}.
+ * Запрос выполняется тем же runQuery(), что и в браузере, поэтому результаты
+ * в локальном и серверном режимах совпадают.
+ */
+
+import {datasets} from "../src/data/sources.js";
+import {initData} from "../src/data.js";
+import {queryOptions} from "../src/columns.js";
+import {parseQuery, runQuery} from "../src/lib/query.js";
+
+// подготовленные наборы: строки готовятся один раз при первом обращении
+const prepared = new Map();
+
+const getDataset = (id) => {
+    const dataset = datasets.find(item => item.id === id);
+    if (!dataset) {
+        return null;
+    }
+    if (!prepared.has(id)) {
+        prepared.set(id, dataset.load().then(initData));
+    }
+    return prepared.get(id);
+};
+
+const sendJson = (res, status, body) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Обработчик запросов в стиле Node.js (req, res)
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ *
+ * Подробнее: адрес может приходить как с префиксом /api, так и без него —
+ * промежуточные обработчики Vite, подключённые по префиксу, его отрезают.
+ */
+export async function handleApiRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^(?:\/api)?\/([^/]+)\/(records|indexes)\/?$/);
+
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, {error: 'Only GET requests are supported'});
+    }
+    if (!match) {
+        return sendJson(res, 404, {error: `Unknown endpoint ${url.pathname}`});
+    }
+
+    const [, id, endpoint] = match;
+    const dataset = getDataset(id);
+    if (!dataset) {
+        return sendJson(res, 404, {error: `Unknown dataset "${id}"`});
+    }
+
+    const {data, sellers, customers, customerDetails, products, categories} = await dataset;
+    if (endpoint === 'indexes') {
+        return sendJson(res, 200, {sellers, customers, customerDetails, products, categories});
+    }
+    // runQuery() отклоняет только некорректный запрос, например строку поиска с ошибкой
+    try {
+        sendJson(res, 200, runQuery(data, parseQuery(url.searchParams), queryOptions));
+    } catch (e) {
+        sendJson(res, 400, {error: e.message});
+    }
+}
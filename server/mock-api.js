@@ -0,0 +1,38 @@
+import {resolve} from 'node:path';
+import {pathToFileURL} from 'node:url';
+
+/**
+ * Плагин Vite, подключающий тестовый API (server/api.js) к серверам dev и preview по адресу /api
+ *
+ * Подробнее: обработчик загружается обычным import() уже при запросе, а не импортом
+ * в начале файла: vite.config.js собирается в один файл, и относительные пути
+ * динамических импортов наборов (src/data/sources.js) в нём бы не сработали.
+ * Модули API кешируются Node.js, поэтому после их правки сервер нужно перезапустить.
+ *
+ * @returns {import('vite').Plugin}
+ */
+export function mockApi() {
+    let root;
+
+    const middleware = async (req, res, next) => {
+        try {
+            const {handleApiRequest} = await import(pathToFileURL(resolve(root, 'server/api.js')).href);
+            await handleApiRequest(req, res);
+        } catch (e) {
+            next(e);
+        }
+    };
+
+    return {
+        name: 'mock-api',
+        configResolved(config) {
+            root = config.root;
+        },
+        configureServer(server) {
+            server.middlewares.use('/api', middleware);
+        },
+        configurePreviewServer(server) {
+            server.middlewares.use('/api', middleware);
+        }
+    };
+}
@@ -0,0 +1,56 @@
+import {createFormatters} from "./lib/format.js";
+
+// Локаль и валюта для вывода значений и сравнения строк
+export const locale = 'en-US';
+export const currency = 'USD';
+
+export const format = createFormatters({locale, currency});
+
+/**
+ * Описание колонок таблицы
+ *
+ * По нему initTable() строит заголовок, строку фильтров, строки данных и ширины колонок:
+ * key — поле строки данных из initData(), label — подпись в заголовке,
+ * type — тип значений для сравнения при сортировке, width — ширина колонки в grid-разметке,
+ * sortable — выводить ли в заголовке кнопку сортировки,
+ * filter — вид фильтра ('text', 'select', 'combobox', 'multiSelect', 'range', 'dateRange'),
+ * filterField — поле строки, с которым фильтр сравнивается точно, если это не key (например, идентификатор вместо имени),
+ * placeholder — подпись фильтра-списка, когда ничего не выбрано, formatter — функция вывода значения,
+ * searchable: false — поле нельзя указать в условии field:value строки поиска,
+ * visible — функция (query) => boolean: выводится и выгружается ли колонка при этом запросе.
+ */
+export const columns = [
+    {key: 'date', label: 'Date', type: 'date', width: '1fr', sortable: true, filter: 'dateRange', formatter: format.date},
+    {key: 'customer', label: 'Customer', type: 'string', width: '1fr', sortable: true, filter: 'combobox', filterField: 'customer_id', placeholder: 'Any customer', formatter: format.person},
+    {key: 'seller', label: 'Seller', type: 'string', width: '1fr', sortable: true, filter: 'multiSelect', placeholder: 'Any seller', formatter: format.person},
+    {key: 'total', label: 'Total', type: 'currency', width: '1fr', sortable: true, filter: 'range', formatter: format.currency},
+    // вычисляемые поля, см. computedFields в data.js
+    {key: 'profit', label: 'Profit', type: 'currency', width: '1fr', sortable: true, filter: 'range', formatter: format.currency},
+    {key: 'margin', label: 'Margin', type: 'number', width: '1fr', sortable: true, filter: 'range', formatter: format.percent},
+    // оценка совпадения с нечётким поиском в процентах, см. runQuery() в lib/query.js; выводится, только пока
+    // строки упорядочены по совпадению. Оценка появляется у строки только после поиска, поэтому условием поиска её не задать
+    {key: 'score', label: 'Match', type: 'number', width: '0.6fr', sortable: true, searchable: false, formatter: format.percent,
+        visible: ({fuzzy, search}) => Boolean(fuzzy && search)}
+];
+
+/**
+ * Фильтры по полям, у которых нет своей колонки в таблице
+ *
+ * Поля product и category строк данных — списки артикулов и категорий товаров чека,
+ * поэтому фильтр отбирает чеки, содержащие выбранный товар или категорию.
+ */
+export const filters = [
+    {key: 'product', label: 'Product', filter: 'select', placeholder: 'Any product'},
+    {key: 'category', label: 'Category', filter: 'select', placeholder: 'Any category'}
+];
+
+// Поля, по которым ищет строка поиска
+export const searchFields = ['date', 'customer', 'seller'];
+
+/**
+ * Настройки выполнения запросов к строкам, см. runQuery() в lib/query.js
+ *
+ * Общие для браузера и тестового API, чтобы поиск, фильтры и сортировка
+ * давали одинаковый результат в обоих режимах.
+ */
+export const queryOptions = {columns, filters, searchFields, locale, empty: 'last'};
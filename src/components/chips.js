@@ -0,0 +1,62 @@
+import {cloneTemplate} from "../lib/utils.js";
+import {isEmpty} from "../lib/compare.js";
+import {rangeFilters} from "../lib/query.js";
+
+/**
+ * Панель активных фильтров: по чипу на каждое поле поиска и фильтров, применённое в запросе
+ *
+ * Чип — кнопка очистки поля (name="clear", data-field), как кнопка очистки текстового фильтра,
+ * поэтому её нажатие обрабатывают applySearching() и applyFiltering(), а таблица перерисовывается.
+ * Границы диапазона выводятся одним чипом («Total 100–500») и очищаются вместе.
+ * Чипы строятся по запросу, а не по полям формы, поэтому нераспознанная граница диапазона
+ * или строка поиска с ошибкой, которые в запрос не попали, чипа не получают.
+ *
+ * @param {{container: HTMLElement, elements: Object}} bar - панель из шаблона activeFilters, список чипов — elements.chips
+ * @param {string} template - шаблон чипа
+ * @param {Object} options
+ * @param {Array<Object>} options.fields - поля с фильтром: key, label, filter и formatter, как в описании колонок
+ * @param {Object<string, (value: string) => string>} [options.labels] - подписи значений-идентификаторов по ключу поля
+ * @returns {(query: Object) => void} - вывод чипов по запросу, собранному из полей таблицы
+ */
+export function initChips(bar, template, {fields, labels = {}}) {
+    // подпись значения: идентификатор заменяется подписью, затем применяется форматтер колонки
+    const describe = ({key, formatter}, value) => {
+        const label = labels[key] ? labels[key](value) : value;
+        return (formatter ? formatter(label) : '') || String(label);
+    };
+
+    const getText = (field, applied) => {
+        if (rangeFilters.includes(field.filter)) {
+            const [from, to] = [applied[`${field.key}From`], applied[`${field.key}To`]];
+            if (isEmpty(from) && isEmpty(to)) {
+                return null;
+            }
+            if (isEmpty(to)) {
+                return `${field.label} ≥ ${describe(field, from)}`;
+            }
+            return isEmpty(from)
+                ? `${field.label} ≤ ${describe(field, to)}`
+                : `${field.label} ${describe(field, from)}–${describe(field, to)}`;
+        }
+        const values = [].concat(applied[field.key] ?? []).filter(value => !isEmpty(value));
+        return values.length > 0
+            ? `${field.label}: ${values.map(value => describe(field, value)).join(', ')}`
+            : null;
+    };
+
+    return ({search, filter = {}}) => {
+        const applied = {...filter, search};
+        const chips = fields
+            .map(field => ({field, text: getText(field, applied)}))
+            .filter(({text}) => text !== null)
+            .map(({field, text}) => {
+                const chip = cloneTemplate(template);
+                chip.container.dataset.field = field.key;
+                chip.container.setAttribute('aria-label', `Remove filter ${text}`);
+                chip.elements.text.textContent = text;
+                return chip.container;
+            });
+        bar.elements.chips.replaceChildren(...chips);
+        bar.container.hidden = chips.length === 0;
+    };
+}
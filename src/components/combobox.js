@@ -0,0 +1,232 @@
+/**
+ * Поле с подсказками и выбором нескольких значений (ARIA combobox): ввод отбирает варианты
+ * по подписи и дополнительному тексту, выбор — щелчком или стрелками и Enter
+ *
+ * Выбор варианта добавляет его в выбранные, повторный выбор — убирает; введённый текст служит
+ * только для поиска и после выбора очищается, а подсказка поля показывает выбранное.
+ * В форму попадают значения выбранных вариантов — по скрытому полю с именем name на каждое,
+ * поэтому варианты с одинаковой подписью различаются. Изменение выбора вызывает всплывающее
+ * событие change — таблица перерисовывается, как при изменении любого поля.
+ * Событие change самого поля ввода до таблицы не всплывает.
+ *
+ * @param {Object} elements
+ * @param {HTMLInputElement} elements.input - поле ввода с role="combobox"
+ * @param {HTMLElement} elements.values - контейнер скрытых полей выбранных значений
+ * @param {HTMLElement} elements.listbox - список вариантов с role="listbox"
+ * @param {Object} options
+ * @param {string} options.name - имя скрытых полей в форме
+ * @param {string} [options.placeholder] - подсказка поля, когда ничего не выбрано
+ * @returns {{setOptions: Function, setCounts: Function, setValues: Function, getValues: Function}}
+ */
+export function initCombobox({input, values, listbox}, {name, placeholder = ''}) {
+    let options = [];
+    let shown = [];
+    let active = -1;
+    // число строк по значениям вариантов, см. setCounts()
+    let counts = null;
+
+    const findOption = (optionValue) => options.find(option => option.value === optionValue);
+
+    /**
+     * Значения выбранных вариантов в порядке выбора
+     * @returns {string[]}
+     */
+    const getValues = () => Array.from(values.querySelectorAll('input')).map(hidden => hidden.value);
+
+    // подсказка поля: подпись единственного выбранного варианта или их число
+    const updateSummary = () => {
+        const selected = getValues();
+        input.placeholder = selected.length === 0 ? placeholder
+            : selected.length === 1 ? findOption(selected[0])?.label ?? selected[0]
+            : `${selected.length} selected`;
+        input.closest('.combobox')?.classList.toggle('active', selected.length > 0);
+    };
+
+    const open = (isOpen) => {
+        listbox.hidden = !isOpen;
+        input.setAttribute('aria-expanded', String(isOpen));
+        if (!isOpen) {
+            setActive(-1);
+        }
+    };
+
+    const setActive = (index) => {
+        active = index;
+        Array.from(listbox.children).forEach((item, i) => item.classList.toggle('active', i === index));
+        if (index === -1) {
+            input.removeAttribute('aria-activedescendant');
+        } else {
+            input.setAttribute('aria-activedescendant', listbox.children[index].id);
+            listbox.children[index].scrollIntoView?.({block: 'nearest'});
+        }
+    };
+
+    // вывести варианты, подпись или дополнительный текст которых содержит введённый текст
+    const renderList = () => {
+        const needle = input.value.trim().toLowerCase();
+        const selected = new Set(getValues());
+        shown = needle === ''
+            ? options
+            : options.filter(({label, description}) => `${label} ${description ?? ''}`.toLowerCase().includes(needle));
+        listbox.replaceChildren(...shown.map((option, index) => {
+            const item = document.createElement('li');
+            item.id = `${listbox.id}-${index}`;
+            item.className = 'combobox-option';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(selected.has(option.value)));
+            item.dataset.value = option.value;
+            const label = document.createElement('span');
+            label.className = 'combobox-label';
+            label.textContent = option.label;
+            item.append(label);
+            if (counts) {
+                const count = document.createElement('span');
+                count.className = 'facet-count';
+                count.textContent = String(counts[option.value] ?? 0);
+                label.append(count);
+                item.classList.toggle('dimmed', !counts[option.value]);
+            }
+            if (option.description) {
+                const description = document.createElement('span');
+                description.className = 'combobox-description';
+                description.textContent = option.description;
+                item.append(description);
+            }
+            return item;
+        }));
+        if (shown.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'combobox-empty';
+            empty.textContent = 'No matches';
+            listbox.append(empty);
+        }
+        setActive(Math.min(Math.max(active, 0), shown.length - 1));
+    };
+
+    /**
+     * Заменить выбранные значения; значения, которых нет среди вариантов, отбрасываются
+     * @param {string[]} nextValues
+     * @param {boolean} [notify=true] - вызвать всплывающее событие change
+     */
+    const setValues = (nextValues, notify = true) => {
+        const known = [...new Set(nextValues.map(String))].filter(findOption);
+        const changed = known.join('\n') !== getValues().join('\n');
+        values.replaceChildren(...known.map(optionValue => {
+            const hidden = document.createElement('input');
+            hidden.type = 'hidden';
+            hidden.name = name;
+            hidden.value = optionValue;
+            return hidden;
+        }));
+        updateSummary();
+        if (!listbox.hidden) {
+            renderList();
+        }
+        if (notify && changed) {
+            values.dispatchEvent(new Event('change', {bubbles: true}));
+        }
+    };
+
+    // добавить вариант в выбранные или убрать из них; список остаётся открытым для следующего выбора
+    const toggle = (optionValue) => {
+        const selected = getValues();
+        // после выбора видны все варианты, а выделенным остаётся выбранный
+        input.value = '';
+        active = options.findIndex(option => option.value === optionValue);
+        setValues(selected.includes(optionValue)
+            ? selected.filter(value => value !== optionValue)
+            : [...selected, optionValue]);
+    };
+
+    /**
+     * Заменить варианты; выбор сохраняется для значений, которые есть и среди новых вариантов
+     * @param {Array<[string, string, string?]>} nextOptions - пары [значение, подпись] и дополнительный текст
+     */
+    const setOptions = (nextOptions) => {
+        options = nextOptions.map(([optionValue, label, description]) => ({value: String(optionValue), label, description}));
+        setValues(getValues(), false);
+    };
+
+    /**
+     * Показывать у вариантов число строк; варианты без строк приглушаются
+     * @param {Object<string, number>} nextCounts - число строк по значению варианта
+     */
+    const setCounts = (nextCounts) => {
+        counts = nextCounts;
+        if (!listbox.hidden) {
+            renderList();
+        }
+    };
+
+    // сброс формы не удаляет скрытые поля, а только возвращает им исходные значения
+    input.form?.addEventListener('reset', () => {
+        values.replaceChildren();
+        updateSummary();
+    });
+
+    input.addEventListener('input', () => {
+        active = 0;
+        renderList();
+        open(true);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        const isOpen = !listbox.hidden;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                if (!isOpen) {
+                    active = 0;
+                    renderList();
+                    open(true);
+                    return;
+                }
+                if (shown.length > 0) {
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    setActive((active + step + shown.length) % shown.length);
+                }
+                break;
+            }
+            case 'Enter':
+                // Enter не отправляет форму, а выбирает вариант
+                e.preventDefault();
+                if (isOpen && active !== -1) {
+                    toggle(shown[active].value);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    open(false);
+                }
+                break;
+            case 'Backspace':
+                // в пустом поле Backspace убирает последний выбранный вариант
+                if (input.value === '' && getValues().length > 0) {
+                    setValues(getValues().slice(0, -1));
+                }
+                break;
+        }
+    });
+
+    // щелчок по варианту не должен забирать фокус у поля ввода
+    listbox.addEventListener('mousedown', (e) => e.preventDefault());
+    listbox.addEventListener('click', (e) => {
+        const item = e.target.closest('[role=option]');
+        if (item) {
+            toggle(item.dataset.value);
+        }
+    });
+
+    input.addEventListener('change', (e) => {
+        e.stopPropagation();
+    });
+    // при уходе из поля введённый для поиска текст стирается
+    input.addEventListener('blur', () => {
+        open(false);
+        input.value = '';
+    });
+
+    return {setOptions, setCounts, setValues, getValues};
+}
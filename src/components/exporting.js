@@ -0,0 +1,25 @@
+import {exportFormats} from "../lib/export.js";
+import {downloadBlob} from "../lib/utils.js";
+import {getVisibleColumns} from "../lib/schema.js";
+
+/**
+ * Выгрузка строк таблицы в файл CSV, JSON или XLSX
+ *
+ * Выгружаются колонки, которые таблица выводит при запросе, см. getVisibleColumns().
+ *
+ * @param {Array<Object>} columns - Описание колонок таблицы, см. columns.js
+ * @param {Object} [options]
+ * @param {string} [options.fileName='export'] - Начало имени файла; к нему добавляется текущая дата
+ * @returns {(rows: Array<Object>, format: string, query: Object) => void}
+ */
+export function initExporting(columns, {fileName = 'export'} = {}) {
+    return (rows, format, query) => {
+        const exporter = exportFormats[format];
+        if (!exporter) {
+            return;
+        }
+
+        const blob = exporter.build(rows, getVisibleColumns(columns, query), {sheetName: fileName});
+        downloadBlob(blob, `${fileName}-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`);
+    };
+}
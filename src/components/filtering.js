@@ -1,39 +1,283 @@
-import {createComparison, defaultRules} from "../lib/compare.js";
+import {getPresetRange} from "../lib/dates.js";
+import {parseLocaleNumber} from "../lib/utils.js";
+import {normalizeRange} from "../lib/query.js";
+import {initCombobox} from "./combobox.js";
 
-// #4.3 — настроить компаратор
-const compare = createComparison(defaultRules);
+/**
+ * @param {Object} elements - элементы строки фильтров
+ * @returns {{applyFiltering: Function, updateIndexes: Function, updateFacets: Function, restoreFiltering: Function}}
+ */
+export function initFiltering(elements) {
+    // быстрые диапазоны дат заполняют поля <key>From и <key>To; выбранный вариант
+    // сбрасывается, когда даты меняют вручную. Событие change затем всплывает до таблицы
+    // и вызывает перерисовку, как при изменении любого поля
+    const presets = Object.values(elements).filter(element => element.dataset.range);
+    presets.forEach(select => {
+        const from = elements[`${select.dataset.range}From`];
+        const to = elements[`${select.dataset.range}To`];
+        select.addEventListener('change', () => {
+            const range = getPresetRange(select.value);
+            if (range) {
+                [from.value, to.value] = range;
+            }
+        });
+        [from, to].forEach(input => input.addEventListener('change', () => {
+            select.value = '';
+        }));
+    });
+
+    // фильтры с выбором нескольких значений: флажки с name=<key> внутри выпадающего списка.
+    // Поле поиска скрывает флажки, подпись которых его не содержит; его событие change
+    // не всплывает до таблицы, чтобы ввод в поиск не перерисовывал её
+    const multiples = Object.values(elements)
+        .filter(element => element.dataset.multiple)
+        .map(container => {
+            const name = container.dataset.name;
+            const multiple = {
+                key: container.dataset.multiple, container,
+                options: elements[`${name}Options`], search: elements[`${name}Search`],
+                text: elements[`${name}Text`], count: elements[`${name}Count`]
+            };
+            multiple.search.addEventListener('input', () => {
+                const needle = multiple.search.value.trim().toLowerCase();
+                Array.from(multiple.options.children).forEach(option => {
+                    option.hidden = needle !== '' && !option.querySelector('.multi-select-label').textContent.toLowerCase().includes(needle);
+                });
+            });
+            multiple.search.addEventListener('change', (e) => e.stopPropagation());
+            multiple.search.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                }
+            });
+            return multiple;
+        });
+    // открытый список закрывается щелчком за его пределами
+    document.addEventListener('click', (e) => {
+        multiples.forEach(({container}) => {
+            if (container.open && !container.contains(e.target)) {
+                container.open = false;
+            }
+        });
+    });
+
+    // поля с подсказками: в форму попадают значения выбранных вариантов из скрытых полей
+    const comboboxes = Object.fromEntries(Object.values(elements)
+        .filter(element => element.dataset.combobox)
+        .map(container => [container.dataset.name, initCombobox({
+            input: elements[`${container.dataset.name}Input`],
+            values: elements[`${container.dataset.name}Values`],
+            listbox: elements[`${container.dataset.name}Listbox`]
+        }, {name: container.dataset.combobox, placeholder: container.dataset.placeholder})]));
+
+    const getChecked = ({options}) => Array.from(options.querySelectorAll('input[type=checkbox]:checked'))
+        .map(checkbox => checkbox.value);
+
+    // подпись и счётчик выбранных значений на свёрнутом списке
+    const updateSummary = (multiple) => {
+        const checked = Array.from(multiple.options.querySelectorAll('input[type=checkbox]:checked'));
+        multiple.text.textContent = checked.length === 1
+            ? checked[0].parentNode.querySelector('.multi-select-label').textContent
+            : multiple.container.dataset.placeholder;
+        multiple.count.textContent = String(checked.length);
+        multiple.count.hidden = checked.length < 2;
+        multiple.container.classList.toggle('active', checked.length > 0);
+    };
+
+    // поля фильтров формы и пары границ диапазонов <key>From/<key>To
+    const fields = Object.values(elements).filter(element => ['INPUT', 'SELECT'].includes(element.tagName) && element.name);
+    const ranges = fields
+        .filter(element => element.name.endsWith('From') && elements[`${element.name.slice(0, -4)}To`])
+        .map(from => ({from, to: elements[`${from.name.slice(0, -4)}To`]}));
+
+    // пометить поле с нераспознанным значением
+    const setInvalid = (element, invalid) => {
+        element.classList.toggle('invalid', invalid);
+        if (invalid) {
+            element.setAttribute('aria-invalid', 'true');
+        } else {
+            element.removeAttribute('aria-invalid');
+        }
+    };
 
-export function initFiltering(elements, indexes) {
     // #4.1 — заполнить выпадающие списки опциями
-    Object.keys(indexes)
-      .forEach((elementName) => {
-        elements[elementName].append(
-            ...Object.values(indexes[elementName])
-                      .map(name => {
+    // индекс-объект даёт опции со значением, равным подписи; массив пар [значение, подпись] — с отдельным значением,
+    // у полей с подсказками третий элемент — дополнительный текст варианта.
+    // Вызывается заново при смене источника данных: прежние опции, кроме пустой, заменяются
+    const updateIndexes = (indexes) => {
+        Object.keys(indexes)
+            .forEach((elementName) => {
+                const options = Array.isArray(indexes[elementName])
+                    ? indexes[elementName]
+                    : Object.values(indexes[elementName]).map(name => [name, name]);
+                if (comboboxes[elementName]) {
+                    comboboxes[elementName].setOptions(options);
+                    return;
+                }
+                const multiple = multiples.find(({container}) => container === elements[elementName]);
+                if (multiple) {
+                    const selected = new Set(getChecked(multiple));
+                    multiple.options.replaceChildren(...options.map(([value, label]) => {
+                        const checkbox = document.createElement('input');
+                        checkbox.type = 'checkbox';
+                        checkbox.name = multiple.key;
+                        checkbox.value = value;
+                        checkbox.checked = selected.has(value);
+                        const text = document.createElement('span');
+                        text.className = 'multi-select-label';
+                        text.textContent = label;
+                        const count = document.createElement('span');
+                        count.className = 'facet-count';
+                        const option = document.createElement('label');
+                        option.className = 'multi-select-option';
+                        option.append(checkbox, text, count);
+                        return option;
+                    }));
+                    multiple.search.value = '';
+                    updateSummary(multiple);
+                    return;
+                }
+                const select = elements[elementName];
+                const selected = select.value;
+                select.replaceChildren(
+                    ...Array.from(select.options).filter(option => option.value === ''),
+                    ...options.map(([value, label]) => {
                         const option = document.createElement('option');
-                        option.value = name;
-                        option.textContent = name;
+                        option.value = value;
+                        option.textContent = label;
+                        option.dataset.label = label;
                         return option;
                     })
-        )
-     })
+                );
+                // выбор сохраняется, если такое значение есть и в новых данных
+                select.value = selected;
+                if (select.selectedIndex === -1) {
+                    select.value = '';
+                }
+            });
+    };
+
+    // #4.6 — вывести у вариантов списков число строк, которое дал бы выбор варианта при остальных фильтрах
+    // (facets из ответа getRecords()); варианты без строк приглушаются, но остаются доступными
+    const updateFacets = (facets = {}) => {
+        Object.entries(facets).forEach(([key, counts]) => {
+            const count = (value) => counts[value] ?? 0;
+            multiples.filter(multiple => multiple.key === key).forEach(({options}) => {
+                Array.from(options.children).forEach(option => {
+                    const n = count(option.querySelector('input').value);
+                    option.querySelector('.facet-count').textContent = String(n);
+                    option.classList.toggle('dimmed', n === 0);
+                });
+            });
+            Object.entries(comboboxes)
+                .filter(([name]) => elements[name].dataset.combobox === key)
+                .forEach(([, combobox]) => combobox.setCounts(counts));
+            fields.filter(element => element.tagName === 'SELECT' && element.name === key).forEach(select => {
+                Array.from(select.options).filter(option => option.value !== '').forEach(option => {
+                    const n = count(option.value);
+                    option.textContent = `${option.dataset.label} (${n})`;
+                    option.classList.toggle('dimmed', n === 0);
+                });
+            });
+        });
+    };
 
-    return (data, state, action) => {
-        // #4.2 — обработать очистку поля
+    // очистить поле фильтра по ключу: текстовое поле, список, обе границы диапазона,
+    // флажки списка с несколькими значениями или выбранные значения поля с подсказками; состояние очищается вместе с полями
+    const clearField = (field, state) => {
+        fields
+            .filter(element => [field, `${field}From`, `${field}To`].includes(element.name))
+            .forEach(element => {
+                element.value = '';
+                setInvalid(element, false);
+                state[element.name] = '';
+            });
+        presets.filter(select => select.dataset.range === field).forEach(select => {
+            select.value = '';
+        });
+        multiples.filter(multiple => multiple.key === field).forEach(({options}) => {
+            options.querySelectorAll('input[type=checkbox]').forEach(checkbox => {
+                checkbox.checked = false;
+            });
+        });
+        Object.entries(comboboxes)
+            .filter(([name]) => elements[name].dataset.combobox === field)
+            .forEach(([, combobox]) => combobox.setValues([], false));
+        state[field] = '';
+    };
+
+    const applyFiltering = (query, state, action) => {
+        // #4.2 — обработать очистку поля: кнопкой в текстовом фильтре или чипом панели активных фильтров
         if (action && action.name === 'clear') {
-            const field = action.getAttribute('data-field');
-            const parent = action.parentNode;
-            const input = parent.querySelector('input');
-            if (input) {
-                input.value = '';
-                state[field] = ''
+            clearField(action.getAttribute('data-field'), state);
+        }
+
+        // #4.5 — собрать значения полей фильтров в запрос; диапазоны <key>From/<key>To собирает runQuery().
+        // Числовые поля принимают числа в разных записях ("1 000", "1,5", "$20"); нераспознанное
+        // значение подсвечивается и в запрос не попадает
+        // границы в обратном порядке меняет местами runQuery(); поля и состояние показывают их так же
+        ranges.forEach(({from, to}) => {
+            const {reversed} = normalizeRange([from.value, to.value], from.dataset.type === 'number' ? 'range' : 'dateRange');
+            if (reversed) {
+                [from.value, to.value] = [to.value, from.value];
+                [state[from.name], state[to.name]] = [from.value, to.value];
             }
+        });
 
-        }
+        const filter = {};
+        fields.forEach(element => {
+            const isNumber = element.dataset.type === 'number';
+            const value = isNumber ? parseLocaleNumber(element.value) : element.value;
+            const invalid = isNumber && element.value.trim() !== '' && isNaN(value);
+            setInvalid(element, invalid);
+            if (element.value.trim() !== '' && !invalid) {
+                filter[element.name] = value;
+            }
+        });
 
-        state.total = [state.totalFrom, state.totalTo];
+        // выбранные значения списков попадают в запрос массивом; форму могли сбросить, поэтому подписи обновляются каждый раз
+        multiples.forEach(multiple => {
+            const checked = getChecked(multiple);
+            updateSummary(multiple);
+            if (checked.length > 0) {
+                filter[multiple.key] = checked;
+            }
+        });
+        Object.entries(comboboxes).forEach(([name, combobox]) => {
+            const selected = combobox.getValues();
+            if (selected.length > 0) {
+                filter[elements[name].dataset.combobox] = selected;
+            }
+        });
 
-        // #4.5 — отфильтровать данные используя компаратор
-        return data.filter(row => compare(row, state));
+        return Object.keys(filter).length > 0 ? {...query, filter} : query;
     }
+
+    // восстановить значения полей фильтров, например из адреса; поля, которых нет в filter, очищаются
+    const restoreFiltering = (filter = {}) => {
+        presets.forEach(select => {
+            select.value = '';
+        });
+        fields.forEach(element => {
+            element.value = filter[element.name] ?? '';
+            setInvalid(element, false);
+            // значения, которого нет в списке, в текущем источнике нет
+            if (element.tagName === 'SELECT' && element.selectedIndex === -1) {
+                element.value = '';
+            }
+        });
+        multiples.forEach(multiple => {
+            const values = new Set([].concat(filter[multiple.key] ?? []).map(String));
+            multiple.options.querySelectorAll('input[type=checkbox]').forEach(checkbox => {
+                checkbox.checked = values.has(checkbox.value);
+            });
+            updateSummary(multiple);
+        });
+        // значения, которых нет среди вариантов, в текущем источнике нет
+        Object.entries(comboboxes).forEach(([name, combobox]) => {
+            combobox.setValues([].concat(filter[elements[name].dataset.combobox] ?? []), false);
+        });
+    };
+
+    return {applyFiltering, updateIndexes, updateFacets, restoreFiltering};
 }
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Синхронизация состояния таблицы с адресом страницы
+ *
+ * Состояние хранится в параметрах адреса, поэтому его можно обновить, переслать ссылкой
+ * и пройти кнопками «назад» и «вперёд» браузера.
+ *
+ * @param {(params: URLSearchParams) => void} onNavigate - вызывается при переходе по истории с параметрами нового адреса
+ * @returns {{read: () => URLSearchParams, save: (params: URLSearchParams, mode?: 'push' | 'replace' | 'none') => void}}
+ */
+export function initHistory(onNavigate) {
+    const read = () => new URLSearchParams(window.location.search);
+
+    // push — новая запись истории, replace — замена текущей, none — адрес не меняется
+    // (состояние восстановлено из истории и уже совпадает с адресом)
+    const save = (params, mode = 'push') => {
+        const search = params.toString();
+        if (mode === 'none' || search === read().toString()) {
+            return;
+        }
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (mode === 'replace') {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    };
+
+    window.addEventListener('popstate', () => onNavigate(read()));
+
+    return {read, save};
+}
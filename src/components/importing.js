@@ -0,0 +1,46 @@
+import {onFileSelect} from "../lib/utils.js";
+
+/**
+ * Импорт файлов через выбор файла и перетаскивание на таблицу
+ *
+ * @param {HTMLElement} dropTarget - элемент, на который можно перетащить файлы
+ * @param {HTMLInputElement} input - поле выбора файлов
+ * @param {(files: Array<{name: string, text: string}>) => void} onImport - вызывается с содержимым прочитанных файлов
+ * @param {(error: Error) => void} onError - вызывается, если файлы не удалось прочитать или обработать
+ */
+export function initImporting(dropTarget, input, onImport, onError) {
+    const readFiles = async (fileList) => {
+        const files = await Promise.all(Array.from(fileList).map(async file => ({
+            name: file.name,
+            text: await file.text()
+        })));
+        if (files.length > 0) {
+            onImport(files);
+        }
+    };
+    // чтение запускается из обработчиков событий, поэтому ошибку некому перехватить, кроме onError
+    const importFiles = (fileList) => readFiles(fileList).catch(onError);
+
+    onFileSelect(input, importFiles);
+
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types ?? []).includes('Files');
+
+    dropTarget.addEventListener('dragover', (e) => {
+        if (hasFiles(e)) {
+            e.preventDefault();
+            dropTarget.classList.add('drop-target');
+        }
+    });
+    dropTarget.addEventListener('dragleave', (e) => {
+        if (!dropTarget.contains(e.relatedTarget)) {
+            dropTarget.classList.remove('drop-target');
+        }
+    });
+    dropTarget.addEventListener('drop', (e) => {
+        if (hasFiles(e)) {
+            e.preventDefault();
+            dropTarget.classList.remove('drop-target');
+            importFiles(e.dataTransfer.files);
+        }
+    });
+}
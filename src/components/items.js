@@ -0,0 +1,32 @@
+import {cloneTemplate} from "../lib/utils.js";
+
+/**
+ * Вложенная таблица позиций чека для раскрывающейся строки
+ *
+ * @param {{template: string, rowTemplate: string}} templates - шаблоны таблицы позиций и строки позиции
+ * @param {Object<string, (value: any) => string>} formatters - форматтеры по имени поля позиции
+ * @returns {(item: Object) => Node} - построение таблицы позиций для строки данных
+ */
+export function initLineItems({template, rowTemplate}, formatters = {}) {
+    const format = (key, value) => formatters[key] ? formatters[key](value) : value;
+
+    return (item) => {
+        const table = cloneTemplate(template);
+
+        table.elements.items.replaceChildren(...item.items.map(line => {
+            const row = cloneTemplate(rowTemplate);
+            Object.keys(line).forEach(key => {
+                if (row.elements[key]) {
+                    row.elements[key].textContent = format(key, line[key]);
+                }
+            });
+            return row.container;
+        }));
+
+        if (table.elements.discount) {
+            table.elements.discount.textContent = format('discount', item.discount);
+        }
+
+        return table.container;
+    }
+}
@@ -0,0 +1,53 @@
+import {cloneTemplate} from "../lib/utils.js";
+
+// сколько сообщений выводить в одном уведомлении, остальные сворачиваются в строку «и ещё N»
+const maxMessages = 20;
+
+/**
+ * Панель уведомлений над таблицей
+ *
+ * Уведомления хранятся по ключу: повторный вызов show() с тем же ключом
+ * заменяет прежнее уведомление, например результат следующего импорта.
+ *
+ * @param {HTMLElement} container - контейнер уведомлений
+ * @param {string} template - шаблон одного уведомления
+ * @returns {{show: Function, clear: Function}}
+ */
+export function initNotices(container, template) {
+    const notices = new Map();
+
+    const clear = (key) => {
+        notices.get(key)?.remove();
+        notices.delete(key);
+    };
+
+    /**
+     * @param {string} key
+     * @param {{title: string, messages?: string[], type?: 'error' | 'warning' | 'success'}} notice
+     */
+    const show = (key, {title, messages = [], type = 'error'}) => {
+        const notice = cloneTemplate(template);
+        notice.container.classList.add(type);
+        notice.elements.title.textContent = title;
+        notice.elements.list.append(...messages.slice(0, maxMessages).map(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            return item;
+        }));
+        if (messages.length > maxMessages) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${messages.length - maxMessages} more`;
+            notice.elements.list.append(more);
+        }
+        notice.elements.close.addEventListener('click', () => clear(key));
+
+        if (notices.has(key)) {
+            notices.get(key).replaceWith(notice.container);
+        } else {
+            container.append(notice.container);
+        }
+        notices.set(key, notice.container);
+    };
+
+    return {show, clear};
+}
@@ -5,10 +5,12 @@ export const initPagination = ({pages, fromRow, toRow, totalRows}, createPage) =
     const pageTemplate = pages.firstElementChild.cloneNode(true);
     pages.firstElementChild.remove();
 
-    return (data, state, action) => {
-        // #2.1 — посчитать количество страниц, объявить переменные и константы
-        const rowsPerPage = state.rowsPerPage;
-        const pageCount = Math.ceil(data.length / rowsPerPage);
+    // число страниц по последнему ответу — нужно для перехода на последнюю страницу
+    let pageCount;
+
+    const applyPagination = (query, state, action) => {
+        // #2.1 — объявить переменные и константы
+        const limit = state.rowsPerPage;
         let page = state.page;
 
         // #2.6 — обработать действия
@@ -18,21 +20,45 @@ export const initPagination = ({pages, fromRow, toRow, totalRows}, createPage) =
             case 'first': page = 1; break;
             case 'last': page = pageCount; break;
         }
+        // при выводе всех строк страница одна
+        if (!Number.isFinite(limit)) {
+            page = 1;
+        }
+
+        // #2.2 — добавить в запрос страницу и число строк на странице
+        return {...query, page, limit};
+    }
+
+    const updatePagination = (total, {page, limit}) => {
+        // при выводе всех строк (limit = Infinity) страница одна
+        const rowsPerPage = Number.isFinite(limit) ? limit : Math.max(total, 1);
+        pageCount = Math.ceil(total / rowsPerPage);
 
         // #2.4 — получить список видимых страниц и вывести их
         const visiblePages = getPages(page, pageCount, 5);
         pages.replaceChildren(...visiblePages.map(pageNumber => {
             const el = pageTemplate.cloneNode(true);
             return createPage(el, pageNumber, pageNumber === page);
-        })) 
+        }))
 
         // #2.5 — обновить статус пагинации
         fromRow.textContent = (page - 1) * rowsPerPage + 1;//(page - 1) * rowsPerPage
-        toRow.textContent = Math.min((page * rowsPerPage), data.length);//(page + 1) * rowsPerPage
-        totalRows.textContent = data.length;
+        toRow.textContent = Math.min((page * rowsPerPage), total);//(page + 1) * rowsPerPage
+        totalRows.textContent = total;
+    }
+
+    // номер страницы за пределами ответа (фильтры сократили выборку) заменяется последней страницей;
+    // возвращает тот же запрос, если страница в пределах
+    const clampPagination = (total, query) => {
+        const rowsPerPage = Number.isFinite(query.limit) ? query.limit : Math.max(total, 1);
+        const lastPage = Math.max(1, Math.ceil(total / rowsPerPage));
+        return query.page > lastPage ? {...query, page: lastPage} : query;
+    }
 
-        // #2.2 — посчитать сколько строк нужно пропустить и получить срез данных
-        const skip = (page - 1) * rowsPerPage;
-        return data.slice(skip, skip + rowsPerPage);
+    // восстановить номер страницы, например из адреса: до ответа на запрос выводится только её кнопка
+    const restorePagination = (page) => {
+        pages.replaceChildren(createPage(pageTemplate.cloneNode(true), page, true));
     }
-}
\ No newline at end of file
+
+    return {applyPagination, updatePagination, clampPagination, restorePagination};
+}
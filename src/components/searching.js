@@ -1,12 +1,45 @@
-import {rules, createComparison} from "../lib/compare.js";
+import {parseSearch} from "../lib/search.js";
 
+/**
+ * @param {string} searchField - имя поля поиска в форме
+ * @param {Object} elements - элементы панели поиска: поле поиска и searchError для сообщения об ошибке;
+ * флажок fuzzy, если он есть, включает нечёткий поиск
+ * @param {{columns: Array<Object>, filters?: Array<Object>}} fields - поля, доступные в условиях field:value
+ * @returns {(query: Object, state: Object, action: HTMLButtonElement | undefined) => Object}
+ */
+export function initSearching(searchField, elements, fields) {
+    const {[searchField]: input, searchError} = elements;
 
-export function initSearching(searchField) {
-    // #5.1 — настроить компаратор
+    // сообщение об ошибке в запросе под полем поиска; пустое сообщение убирает подсветку
+    const showError = (message) => {
+        input.classList.toggle('invalid', Boolean(message));
+        if (message) {
+            input.setAttribute('aria-invalid', 'true');
+        } else {
+            input.removeAttribute('aria-invalid');
+        }
+        searchError.textContent = message;
+        searchError.hidden = !message;
+    };
 
-    const compare = createComparison(['skipEmptyTargetValues'],[rules.searchMultipleFields (searchField, ['date', 'customer', 'seller'], false)]);
+    // #5.1 — добавить строку поиска в запрос; сам поиск выполняет runQuery() по языку запросов lib/search.js.
+    // Запрос с ошибкой не применяется, а ошибка выводится под полем, как нераспознанное значение фильтра
 
-    return (data, state, action) => {
-        return data.filter(row => compare(row, state));
+    return (query, state, action) => {
+        // очистка поиска чипом панели активных фильтров
+        if (action && action.name === 'clear' && action.getAttribute('data-field') === searchField) {
+            action.form.elements[searchField].value = '';
+            state[searchField] = '';
+        }
+
+        // нечёткий режим сохраняется в запросе и без строки поиска, чтобы его восстанавливала ссылка
+        if (state.fuzzy) {
+            query = {...query, fuzzy: true};
+        }
+
+        const search = String(state[searchField] ?? '').trim();
+        const {error} = parseSearch(search, fields);
+        showError(error ? `${error.message} (at character ${error.position + 1})` : '');
+        return search && !error ? {...query, search} : query;
     }
-}
\ No newline at end of file
+}
@@ -1,32 +1,114 @@
-import {sortCollection, sortMap} from "../lib/sort.js";
+import {sortMap} from "../lib/sort.js";
+import {sortName} from "../lib/schema.js";
 
-export function initSorting(columns) {
-    return (data, state, action) => {
-        let field = null;
-        let order = null;
+/**
+ * Собирает активные ключи сортировки с кнопок заголовка в порядке приоритета
+ * @param {HTMLButtonElement[]} columns
+ * @returns {Array<{field: string, order: string}>}
+ */
+const getSortKeys = (columns) => columns
+    .filter(column => column.dataset.value !== 'none')
+    .toSorted((a, b) => Number(a.dataset.priority ?? 0) - Number(b.dataset.priority ?? 0))
+    .map(column => ({field: column.dataset.field, order: column.dataset.value}));
+
+/**
+ * Создаёт кнопку сортировки для колонки
+ * @param {{key: string, label: string, type?: string}} column
+ * @returns {HTMLButtonElement}
+ */
+const createSortButton = ({key, label, type}) => {
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.name = 'sort';
+    button.className = 'icon';
+    button.title = 'Shift+click to add as a secondary sort';
+    button.setAttribute('aria-label', `Sort by ${label.toLowerCase()}`);
+    Object.assign(button.dataset, {
+        name: sortName(key),
+        field: key,
+        type: type ?? 'auto',
+        value: 'none'
+    });
+    return button;
+};
+
+/**
+ * @param {{container: HTMLElement, elements: Object}} header - заголовок таблицы, ячейки колонок отмечены атрибутом data-column
+ * @param {Array<{key: string, label: string, type?: string, sortable?: boolean}>} schema - описание колонок
+ * @returns {{applySorting: Function, restoreSorting: Function}}
+ */
+export function initSorting(header, schema) {
+    // вывести кнопки сортировки в ячейки заголовка для колонок с sortable: true
+    const columns = schema
+        .filter(column => column.sortable)
+        .map(column => {
+            const cell = header.container.querySelector(`[data-column="${column.key}"]`);
+            if (!cell) {
+                return null;
+            }
+
+            const button = createSortButton(column);
+            const wrapper = document.createElement('div');
+            wrapper.className = 'sortable';
+            wrapper.append(...cell.childNodes, button);
+            cell.append(wrapper);
+
+            header.elements[button.dataset.name] = button;
+            return button;
+        })
+        .filter(Boolean);
+
+    // Shift+клик добавляет колонку к текущей сортировке вместо замены.
+    // Событие submit не знает о нажатых клавишах, поэтому запоминаем их при клике
+    let multiSort = false;
+    columns.forEach(column => column.addEventListener('click', (e) => {
+        multiSort = e.shiftKey;
+    }));
+
+    // #3.3 — отобразить направление и приоритет на кнопках
+    const showSortKeys = (keys) => {
+        columns.forEach(column => {
+            const index = keys.findIndex(key => key.field === column.dataset.field);
+            if (index === -1) {
+                column.dataset.value = 'none';
+                delete column.dataset.priority;
+            } else {
+                column.dataset.value = keys[index].order;
+                column.dataset.priority = index + 1;
+            }
+        });
+    };
+
+    // восстановить сортировку, например из адреса страницы; ключи неизвестных колонок и направлений пропускаются
+    const restoreSorting = (keys = []) => {
+        showSortKeys(keys.filter(({field, order}) =>
+            columns.some(column => column.dataset.field === field) && (order === 'up' || order === 'down')));
+    };
+
+    const applySorting = (query, state, action) => {
+        let keys = getSortKeys(columns);
 
         if (action && action.name === 'sort') {
             // #3.1 — запомнить выбранный режим сортировки
-            action.dataset.value = sortMap[action.dataset.value];
-            field = action.dataset.field;
-            order = action.dataset.value;
-
-            // #3.2 — сбросить сортировки остальных колонок
-            columns.forEach(column => {
-                if (column.dataset.field !== action.dataset.field) {
-                    column.dataset.value = 'none';
-                }
-            }); 
-        } else {
-            // #3.3 — получить выбранный режим сортировки
-            columns.forEach(column => {
-                if (column.dataset.value !== 'none') {
-                    field = column.dataset.field;
-                    order = column.dataset.value;
-                }
-            }); 
+            const field = action.dataset.field;
+            const order = sortMap[action.dataset.value];
+
+            if (multiSort) {
+                // дополнительный ключ: меняем направление на месте или добавляем в конец
+                keys = keys.some(key => key.field === field)
+                    ? keys.map(key => key.field === field ? {field, order} : key)
+                    : [...keys, {field, order}];
+            } else {
+                // #3.2 — сбросить сортировки остальных колонок
+                keys = [{field, order}];
+            }
+            keys = keys.filter(key => key.order !== 'none');
+            showSortKeys(keys);
         }
 
-        return sortCollection(data, field, order);
+        // #3.4 — передать ключи в запрос; сравнение по типам колонок выполняет runQuery()
+        return keys.length > 0 ? {...query, sort: keys} : query;
     }
-}
\ No newline at end of file
+
+    return {applySorting, restoreSorting};
+}
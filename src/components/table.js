@@ -1,25 +1,75 @@
 import {cloneTemplate} from "../lib/utils.js";
+import {createFilterRow, createHeader, createRowFactory, getGridColumns} from "../lib/schema.js";
+import {createVirtualList} from "../lib/virtual.js";
+
+// Части таблицы, которые можно построить по описанию колонок
+const generators = {
+    header: createHeader,
+    filter: createFilterRow
+};
 
 /**
  * Инициализирует таблицу и вызывает коллбэк при любых изменениях и нажатиях на кнопки
  *
+ * Если передано описание колонок (settings.columns), строка заголовка, строка фильтров,
+ * строки данных и ширины колонок строятся по нему. Шаблоны, указанные в settings.templates
+ * (например, {header: 'myHeader'}) или в settings.rowTemplate, имеют приоритет над генерацией.
+ * Фильтры без собственной колонки (settings.filters) добавляются в конец строки фильтров.
+ *
+ * Если передан settings.virtual ({threshold, rowHeight, buffer, height}), выборки длиннее
+ * threshold строк выводятся с виртуальной прокруткой: в DOM находятся только видимые строки.
+ * Выборки короче порога (например, одна страница пагинации) выводятся как обычно.
+ *
+ * Колонки, ключей которых нет в setVisibleColumns(keys), скрываются: их ячейки в заголовке,
+ * строке фильтров и строках данных не выводятся, а ширины убираются из grid-разметки.
+ *
+ * При обычном выводе строки сопоставляются с уже выведенными по ключу (settings.rowKey,
+ * по умолчанию поле id): существующие узлы переиспользуются и переставляются,
+ * а в ячейках меняется только текст, который действительно изменился.
+ *
+ * Если передан settings.details — функция (item) => Node, — строки раскрываются по клику
+ * (или Enter/пробелу) и показывают под собой подробности. В виртуальном режиме строки
+ * имеют фиксированную высоту, поэтому не раскрываются, а над ними выводится пояснение об этом.
+ *
  * @param {Object} settings
  * @param {(action: HTMLButtonElement | undefined) => void} onAction
- * @returns {{container: Node, elements: *, render: render}}
+ * @returns {{container: Node, elements: *, render: render, setVisibleColumns: setVisibleColumns}}
  */
 export function initTable(settings, onAction) {
-    const {tableTemplate, rowTemplate, before, after} = settings;
+    const {tableTemplate, rowTemplate, columns, filters = [], templates = {}, virtual, rowKey = 'id', details, before, after} = settings;
     const root = cloneTemplate(tableTemplate);
 
+    const createPart = (subName) => columns && generators[subName] && !templates[subName]
+        ? generators[subName](columns, filters)
+        : cloneTemplate(templates[subName] ?? subName);
+    const createRowCells = rowTemplate || !columns
+        ? () => cloneTemplate(rowTemplate)
+        : createRowFactory(columns);
+
+    // ключи скрытых колонок, см. setVisibleColumns(); ячейки колонок отмечены атрибутом data-column
+    let hiddenColumns = new Set();
+    const applyVisibility = (container) => container.querySelectorAll('[data-column]').forEach(cell => {
+        cell.hidden = hiddenColumns.has(cell.dataset.column);
+    });
+    const createRow = () => {
+        const row = createRowCells();
+        applyVisibility(row.container);
+        return row;
+    };
+
+    if (columns) {
+        root.container.style.setProperty('--columns', getGridColumns(columns));
+    }
+
     // #1.2 —  вывести дополнительные шаблоны до и после таблицы
 
     before.reverse().forEach(subName => {
-        root[subName] = cloneTemplate(subName);
+        root[subName] = createPart(subName);
         root.container.prepend(root[subName].container);
     });
 
     after.forEach(subName => {
-        root[subName] = cloneTemplate(subName);
+        root[subName] = createPart(subName);
         root.container.append(root[subName].container);
     });
 
@@ -35,24 +85,150 @@ export function initTable(settings, onAction) {
         onAction(e.submitter);
     });
 
+    // форматирование значений ячеек по описанию колонок
+    const formatters = Object.fromEntries((columns ?? [])
+        .filter(column => column.formatter)
+        .map(column => [column.key, column.formatter]));
 
-    const render = (data) => {
-        // преобразование данных в массив строк на основе шаблона rowTemplate
-        const nextRows = data.map(item => {
-            const row = cloneTemplate(rowTemplate);
+    // запись данных в строку; текст ячейки меняется, только если изменилось выводимое значение.
+    // Ячейки полей, которых у новой строки нет (например, оценки совпадения вне нечёткого поиска), очищаются
+    const fillRow = (row, item) => {
+        row.values ??= {};
+        new Set([...Object.keys(row.values), ...Object.keys(item)]).forEach(key => {
+            if (row.elements[key]){
+                const text = String((formatters[key] ? formatters[key](item[key], item) : item[key]) ?? '');
+                if (row.values[key] !== text) {
+                    row.elements[key].textContent = text;
+                    row.values[key] = text;
+                }
+            }
+        });
+    };
+
+    const virtualList = virtual
+        ? createVirtualList(root.elements.rows, {...virtual, createRow, fillRow})
+        : null;
 
-            Object.keys(item).forEach(key => {
-                if (row.elements[key]){
-                    row.elements[key].textContent = item[key];
+    // пояснение, что в виртуальном режиме подробности недоступны: без него щелчок по строке ничего не делал бы молча
+    const detailsNote = virtualList && details ? document.createElement('p') : null;
+    if (detailsNote) {
+        detailsNote.className = 'table-note';
+        detailsNote.hidden = true;
+        detailsNote.textContent = 'Row details are not available while all rows are shown. Choose a page size to expand rows.';
+        root.elements.rows.before(detailsNote);
+    }
+
+    // выведенные строки по ключу
+    const renderedRows = new Map();
+    // ключи раскрытых строк
+    const expanded = new Set();
+
+    // вывести или убрать подробности строки; при смене данных строки подробности строятся заново
+    const syncDetails = (row) => {
+        const isExpanded = expanded.has(row.item[rowKey]);
+        if (row.details && (!isExpanded || row.details.item !== row.item)) {
+            row.details.remove();
+            row.details = null;
+        }
+        if (isExpanded && !row.details) {
+            row.details = document.createElement('div');
+            row.details.className = 'row-details';
+            row.details.item = row.item;
+            row.details.append(details(row.item));
+            row.container.append(row.details);
+        }
+        row.container.setAttribute('aria-expanded', String(isExpanded));
+    };
+
+    const toggleDetails = (target) => {
+        const container = target.closest('.table-row.expandable');
+        const row = container && renderedRows.get(container.dataset.key);
+        if (!row) {
+            return;
+        }
+        if (!expanded.delete(container.dataset.key)) {
+            expanded.add(container.dataset.key);
+        }
+        syncDetails(row);
+    };
+
+    if (details) {
+        root.elements.rows.addEventListener('click', (e) => {
+            // клики по самим подробностям и по элементам управления строку не сворачивают
+            if (!e.target.closest('.row-details, button, input, select, a')) {
+                toggleDetails(e.target);
+            }
+        });
+        root.elements.rows.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('expandable')) {
+                e.preventDefault();
+                toggleDetails(e.target);
+            }
+        });
+    }
+
+    const renderRows = (data) => {
+        const container = root.elements.rows;
+        const nextKeys = new Set(data.map(item => item[rowKey]));
+
+        // удалить строки, которых больше нет в выборке
+        renderedRows.forEach((row, key) => {
+            if (!nextKeys.has(key)) {
+                row.container.remove();
+                renderedRows.delete(key);
+            }
+        });
+
+        // обновить существующие и создать недостающие строки, расставив их по порядку
+        data.forEach((item, index) => {
+            const key = item[rowKey];
+            let row = renderedRows.get(key);
+            if (!row) {
+                row = createRow();
+                row.container.dataset.key = key;
+                if (details) {
+                    row.container.classList.add('expandable');
+                    row.container.tabIndex = 0;
                 }
-                
-            });
+                renderedRows.set(key, row);
+            }
+            fillRow(row, item);
+            row.item = item;
+            if (details) {
+                syncDetails(row);
+            }
 
-            return row.container;
+            const current = container.children[index] ?? null;
+            if (current !== row.container) {
+                container.insertBefore(row.container, current);
+            }
         });
+    };
 
-        root.elements.rows.replaceChildren(...nextRows);
-    }
+    const render = (data) => {
+        if (virtualList && data.length > (virtual.threshold ?? 0)) {
+            renderedRows.clear();
+            virtualList.render(data);
+        } else {
+            virtualList?.reset();
+            renderRows(data);
+        }
+        if (detailsNote) {
+            detailsNote.hidden = !virtualList.isActive();
+        }
+    };
+
+    /**
+     * Вывести только колонки с ключами keys
+     * @param {string[]} keys
+     */
+    const setVisibleColumns = (keys) => {
+        hiddenColumns = new Set((columns ?? []).map(({key}) => key).filter(key => !keys.includes(key)));
+        if (columns) {
+            root.container.style.setProperty('--columns', getGridColumns(columns.filter(({key}) => !hiddenColumns.has(key))));
+        }
+        applyVisibility(root.container);
+    };
 
-    return {...root, render};
-}
\ No newline at end of file
+    return {...root, render, setVisibleColumns};
+}
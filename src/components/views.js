@@ -0,0 +1,155 @@
+import {cloneTemplate, downloadBlob, onFileSelect} from "../lib/utils.js";
+
+/**
+ * Сохранённые представления таблицы: именованные наборы поиска, фильтров, сортировки и числа строк
+ *
+ * Представление хранится как строка параметров адреса ({name, params}), той же, что
+ * записывается в адресную строку, поэтому применяется так же, как переход по ссылке.
+ * Список хранится в localStorage и обновляется, если его изменили в другой вкладке.
+ *
+ * @param {Object} elements - элементы панели поиска: views, viewsList, saveView, exportViews, importViews
+ * @param {string} template - шаблон строки списка представлений
+ * @param {Object} options
+ * @param {() => URLSearchParams} options.getParams - параметры текущего состояния таблицы
+ * @param {(params: URLSearchParams) => void} options.onApply - применение представления
+ * @param {(notice: {title: string, messages?: string[], type?: string}) => void} options.notify - вывод сообщений
+ * @param {string} [options.storageKey='smart-table:views'] - ключ в localStorage
+ */
+export function initViews(elements, template, {getParams, onApply, notify, storageKey = 'smart-table:views'}) {
+    const {views: menu, viewsList, saveView, exportViews, importViews} = elements;
+
+    const isView = (view) => typeof view?.name === 'string' && view.name.trim() !== '' && typeof view.params === 'string';
+
+    // повреждённое или недоступное хранилище даёт пустой список, а не ошибку при загрузке страницы
+    const load = () => {
+        try {
+            const stored = JSON.parse(localStorage.getItem(storageKey) ?? '[]');
+            return Array.isArray(stored) ? stored.filter(isView) : [];
+        } catch {
+            return [];
+        }
+    };
+
+    let views = load();
+
+    const store = () => {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(views));
+        } catch (e) {
+            notify({title: 'Cannot save views in this browser', messages: [e.message]});
+        }
+    };
+
+    const renderList = () => {
+        viewsList.replaceChildren(...views.map(view => {
+            const item = cloneTemplate(template);
+            item.container.dataset.view = view.name;
+            item.elements.apply.textContent = view.name;
+            item.elements.apply.title = `Apply "${view.name}"`;
+            return item.container;
+        }));
+    };
+
+    // добавить представление; представление с тем же именем заменяется на месте
+    const upsert = (view) => {
+        const index = views.findIndex(item => item.name === view.name);
+        views = index === -1 ? [...views, view] : views.map((item, i) => i === index ? view : item);
+    };
+
+    const askName = (message, current = '') => {
+        const name = window.prompt(message, current)?.trim();
+        if (!name) {
+            return null;
+        }
+        return name === current || !views.some(view => view.name === name) || window.confirm(`Replace view "${name}"?`)
+            ? name
+            : null;
+    };
+
+    const update = () => {
+        store();
+        renderList();
+    };
+
+    saveView.addEventListener('click', () => {
+        const name = askName('Name for the current view');
+        if (name) {
+            upsert({name, params: getParams().toString()});
+            update();
+        }
+    });
+
+    viewsList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-name]');
+        const item = button?.closest('[data-view]');
+        const view = item && views.find(view => view.name === item.dataset.view);
+        if (!view) {
+            return;
+        }
+
+        switch (button.dataset.name) {
+            case 'apply':
+                menu.open = false;
+                onApply(new URLSearchParams(view.params));
+                break;
+            case 'rename': {
+                const name = askName('New name for the view', view.name);
+                if (name && name !== view.name) {
+                    views = views.filter(item => item.name !== name).map(item => item === view ? {...view, name} : item);
+                    update();
+                }
+                break;
+            }
+            case 'remove':
+                if (window.confirm(`Delete view "${view.name}"?`)) {
+                    views = views.filter(item => item !== view);
+                    update();
+                }
+                break;
+        }
+    });
+
+    exportViews.addEventListener('click', () => {
+        downloadBlob(new Blob([JSON.stringify({views}, null, 2)], {type: 'application/json'}), 'table-views.json');
+    });
+
+    onFileSelect(importViews, async ([file]) => {
+        let imported;
+        try {
+            const json = JSON.parse(await file.text());
+            imported = Array.isArray(json) ? json : json?.views;
+            if (!Array.isArray(imported)) {
+                throw new Error('Expected an array of views or an object with a "views" array');
+            }
+        } catch (error) {
+            notify({title: `Cannot import views from ${file.name}`, messages: [error.message]});
+            return;
+        }
+
+        const valid = imported.filter(isView).map(({name, params}) => ({name: name.trim(), params}));
+        valid.forEach(upsert);
+        update();
+        notify({
+            title: `Imported ${valid.length} view(s) from ${file.name}`,
+            messages: valid.length < imported.length ? [`${imported.length - valid.length} entries without a name or parameters were skipped`] : [],
+            type: valid.length < imported.length ? 'warning' : 'success'
+        });
+    });
+
+    // список, изменённый в другой вкладке
+    window.addEventListener('storage', (e) => {
+        if (e.key === storageKey) {
+            views = load();
+            renderList();
+        }
+    });
+
+    // меню закрывается кликом вне его
+    document.addEventListener('click', (e) => {
+        if (menu.open && !menu.contains(e.target)) {
+            menu.open = false;
+        }
+    });
+
+    renderList();
+}
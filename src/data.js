@@ -1,14 +1,90 @@
 import {makeIndex} from "./lib/utils.js";
 
-export function initData(sourceData) {
+/**
+ * Позиции чека, дополненные данными товара из каталога
+ * @param {Array} items - позиции записи о покупке: sku, quantity, sale_price, discount (в процентах)
+ * @param {Object} catalogue - товары по sku
+ * @returns {Array}
+ */
+const joinItems = (items, catalogue) => items.map(({sku, quantity, sale_price, discount}) => {
+    const gross = sale_price * quantity;
+    const discountAmount = gross * discount / 100;
+    return {
+        sku,
+        name: catalogue[sku]?.name ?? sku,
+        category: catalogue[sku]?.category ?? '',
+        quantity,
+        price: sale_price,
+        discount: discountAmount,
+        subtotal: gross - discountAmount
+    };
+});
+
+/**
+ * Себестоимость чека по закупочным ценам каталога
+ * @param {Object} record - запись о покупке
+ * @param {Object} catalogue - товары по sku
+ * @returns {number | undefined} - undefined, если какого-то товара нет в каталоге
+ */
+const getCost = (record, catalogue) => record.items.reduce((cost, {sku, quantity}) =>
+    catalogue[sku] ? cost + catalogue[sku].purchase_price * quantity : undefined, 0);
+
+// округление денежных сумм до копеек
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Вычисляемые поля строк данных по умолчанию
+ *
+ * Каждое поле — функция (record, indexes) => value от исходной записи о покупке
+ * и индексов, построенных initData(). Значения вычисляются один раз при подготовке
+ * данных, поэтому сортируются, фильтруются и выгружаются так же, как обычные поля.
+ */
+export const computedFields = {
+    // валовая прибыль: выручка чека минус закупочная стоимость товаров
+    profit: (record, {catalogue}) => {
+        const cost = getCost(record, catalogue);
+        return cost === undefined ? undefined : roundMoney(record.total_amount - cost);
+    },
+    // маржа в процентах от выручки
+    margin: (record, {catalogue}) => {
+        const cost = getCost(record, catalogue);
+        return cost === undefined || !record.total_amount
+            ? undefined
+            : roundMoney((record.total_amount - cost) / record.total_amount * 100);
+    }
+};
+
+/**
+ * Готовит данные для таблицы: индексы справочников и строки чеков
+ *
+ * @param {Object} sourceData - исходные данные: sellers, customers, products, purchase_records
+ * @param {Object<string, (record: Object, indexes: Object) => any>} [computed] - вычисляемые поля строк
+ * @returns {{sellers: Object, customers: Object, customerDetails: Object, products: Object, categories: Object, catalogue: Object, data: Array}}
+ */
+export function initData(sourceData, computed = computedFields) {
     const sellers = makeIndex(sourceData.sellers, 'id', v => `${v.first_name} ${v.last_name}`);
     const customers = makeIndex(sourceData.customers, 'id', v => `${v.first_name} ${v.last_name}`);
+    // место работы и должность покупателя — подсказка в фильтре по покупателю
+    const customerDetails = makeIndex(sourceData.customers, 'id', v => [v.workplace, v.position].filter(Boolean).join(', '));
+    const products = makeIndex(sourceData.products, 'sku', v => v.name);
+    const categories = makeIndex(sourceData.products, 'category', v => v.category);
+    const catalogue = makeIndex(sourceData.products, 'sku', v => v);
+    const indexes = {sellers, customers, customerDetails, products, categories, catalogue};
     const data = sourceData.purchase_records.map(item => ({
         id: item.receipt_id,
         date: item.date,
-        seller: sellers[item.seller_id],
-        customer: customers[item.customer_id],
-        total: item.total_amount
+        // ссылки на отсутствующих в справочниках продавцов и покупателей выводятся как есть, см. validateSource()
+        seller: sellers[item.seller_id] ?? item.seller_id,
+        customer: customers[item.customer_id] ?? item.customer_id,
+        // фильтр по покупателю сравнивает идентификатор: у разных покупателей может быть одно имя
+        customer_id: item.customer_id,
+        total: item.total_amount,
+        discount: item.total_discount,
+        items: joinItems(item.items, catalogue),
+        // товары и категории чека — для фильтров «содержит товар» и «содержит категорию»
+        product: [...new Set(item.items.map(line => line.sku))],
+        category: [...new Set(item.items.map(line => catalogue[line.sku]?.category).filter(Boolean))],
+        ...Object.fromEntries(Object.entries(computed).map(([key, compute]) => [key, compute(item, indexes)]))
     }));
-    return {sellers, customers, data};
-}
\ No newline at end of file
+    return {...indexes, data};
+}
@@ -0,0 +1,49 @@
+/**
+ * Доступ к строкам таблицы: локально над загруженным набором или через API
+ *
+ * Оба варианта имеют одинаковый вид {indexes, getRecords}: indexes — справочники
+ * для списков фильтров (sellers, customers, products, categories),
+ * getRecords(query) — Promise с ответом {total, items, facets}, см. runQuery() в lib/query.js.
+ */
+
+import {initData} from "../data.js";
+import {queryOptions} from "../columns.js";
+import {runQuery, serializeQuery} from "../lib/query.js";
+
+/**
+ * Локальный доступ: строки готовятся и запрашиваются в браузере
+ *
+ * @param {Object} sourceData - исходные данные в формате dataset_N.js
+ * @returns {{indexes: Object, getRecords: (query: Object) => Promise<{total: number, items: Array, facets: Object}>}}
+ */
+export function createLocalApi(sourceData) {
+    const {data, ...indexes} = initData(sourceData);
+    return {
+        indexes,
+        getRecords: async (query) => runQuery(data, query, queryOptions)
+    };
+}
+
+/**
+ * Удалённый доступ: запрос передаётся в параметрах адреса, строки готовит сервер
+ *
+ * @param {string} baseUrl - адрес набора в API, например /api/store-1
+ * @returns {Promise<{indexes: Object, getRecords: (query: Object) => Promise<{total: number, items: Array, facets: Object}>}>}
+ *
+ * Подробнее: API отвечает на два адреса: <baseUrl>/indexes — справочники,
+ * <baseUrl>/records?page=&limit=&sort=&search=&filter[имя]= — строки страницы и их общее число.
+ */
+export async function createRemoteApi(baseUrl) {
+    const request = async (path) => {
+        const response = await fetch(`${baseUrl}${path}`);
+        if (!response.ok) {
+            throw new Error(`Request to ${baseUrl}${path} failed: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    };
+
+    return {
+        indexes: await request('/indexes'),
+        getRecords: (query) => request(`/records?${serializeQuery(query)}`)
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * Источники данных для таблицы
+ *
+ * Источник — объект {id, label, load}, где load() возвращает Promise с исходными
+ * данными в формате наборов dataset_N.js: sellers, customers, products, purchase_records.
+ * Встроенные наборы подгружаются динамическим импортом, поэтому в сборке
+ * каждый из них — отдельный файл, который загружается только при выборе.
+ *
+ * Удалённый источник — объект {id, label, connect}: данные не загружаются в браузер,
+ * а запрашиваются у API постранично, см. createRemoteApi() в api.js.
+ */
+
+import {createRemoteApi} from "./api.js";
+
+/**
+ * Источник, данные которого запрашиваются у API
+ *
+ * @param {string} id - Уникальный идентификатор источника
+ * @param {string} label - Название в списке источников
+ * @param {string} baseUrl - Адрес набора в API
+ * @returns {{id: string, label: string, connect: () => Promise<Object>}}
+ */
+export const createApiSource = (id, label, baseUrl) => ({
+    id,
+    label,
+    connect: () => createRemoteApi(baseUrl)
+});
+
+// Встроенные наборы; их же отдаёт тестовый API (server/api.js)
+export const datasets = [
+    {id: 'store-1', label: 'Store 1', load: () => import('./dataset_1.js').then(module => module.data)},
+    {id: 'store-2', label: 'Store 2', load: () => import('./dataset_2.js').then(module => module.data)},
+    {id: 'store-3', label: 'Store 3', load: () => import('./dataset_3.js').then(module => module.data)}
+];
+
+export const sources = [
+    ...datasets,
+    ...datasets.map(({id, label}) => createApiSource(`api-${id}`, `${label} (server)`, `/api/${id}`))
+];
@@ -0,0 +1,112 @@
+/**
+ * Модуль сравнения значений с учётом их типа и локали
+ *
+ * Этот модуль превращает «сырые» значения колонок (числа, строки с числами,
+ * даты в формате ISO, суммы с символом валюты) в сравнимые величины
+ * и сравнивает их по правилам соответствующего типа. Используется
+ * функциями сортировки из sort.js.
+ */
+
+import {parseLocaleNumber} from "./utils.js";
+import {isEmpty} from "./compare.js";
+import {isIsoDate} from "./dates.js";
+
+// Сумма с символом валюты до или после числа: "$1,200.50", "1 200,50 ₽"
+const currencyPattern = /^(\p{Sc}\s?[\d\s.,'-]+|[\d\s.,'-]+\s?\p{Sc})$/u;
+
+/**
+ * Функции приведения значений к сравнимому виду для каждого типа колонки
+ *
+ * Подробнее: каждая функция возвращает число или строку, либо undefined,
+ * если значение не удалось разобрать. Неразобранные значения считаются
+ * пустыми и размещаются в начале или конце списка.
+ */
+const parsers = {
+    number: (value) => {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        return isNaN(number) ? undefined : number;
+    },
+    currency: (value) => {
+        const number = parseLocaleNumber(value);
+        return isNaN(number) ? undefined : number;
+    },
+    date: (value) => {
+        const time = value instanceof Date ? value.getTime() : Date.parse(value);
+        return isNaN(time) ? undefined : time;
+    },
+    string: (value) => String(value)
+};
+
+/**
+ * Определяет тип колонки по её значениям
+ *
+ * @param {Array} values - Значения колонки
+ * @returns {'number' | 'date' | 'currency' | 'string'} - Тип, которому соответствуют все непустые значения
+ *
+ * Подробнее: тип выбирается, только если ему соответствуют все непустые
+ * значения колонки. Одна «строка» среди чисел переводит колонку в строковый тип,
+ * чтобы порядок оставался предсказуемым.
+ */
+export function detectType(values) {
+    const filled = values.filter(value => !isEmpty(value));
+    if (filled.length === 0) {
+        return 'string';
+    }
+
+    const matchesAll = (check) => filled.every(check);
+
+    if (matchesAll(value => typeof value === 'number' ||
+        (typeof value === 'string' && !isNaN(Number(value.trim()))))) {
+        return 'number';
+    }
+    if (matchesAll(value => value instanceof Date ||
+        (typeof value === 'string' && isIsoDate(value.trim())))) {
+        return 'date';
+    }
+    if (matchesAll(value => typeof value === 'string' && currencyPattern.test(value.trim()))) {
+        return 'currency';
+    }
+    return 'string';
+}
+
+/**
+ * Создаёт функцию сравнения значений заданного типа
+ *
+ * @param {Object} [options]
+ * @param {'number' | 'date' | 'currency' | 'string'} [options.type='string'] - Тип значений
+ * @param {string | string[]} [options.locale] - Локаль для сравнения строк (по умолчанию — локаль браузера)
+ * @param {boolean} [options.numeric=true] - Естественный порядок чисел внутри строк ("receipt_2" < "receipt_10")
+ * @param {'first' | 'last'} [options.empty='last'] - Где размещать пустые значения
+ * @returns {(a: any, b: any, direction?: 1 | -1) => number} - Функция сравнения двух значений
+ *
+ * Подробнее: строки сравниваются через Intl.Collator без учёта регистра,
+ * поэтому порядок соответствует правилам алфавита выбранной локали,
+ * а не кодам символов. Параметр direction инвертирует порядок непустых
+ * значений, но не трогает пустые: они остаются там, где указано в options.empty,
+ * при сортировке в любом направлении.
+ */
+export function createComparator({type = 'string', locale, numeric = true, empty = 'last'} = {}) {
+    const parse = parsers[type] ?? parsers.string;
+    const collator = new Intl.Collator(locale, {numeric, sensitivity: 'base'});
+    const emptyOrder = empty === 'first' ? -1 : 1;
+
+    const toComparable = (value) => isEmpty(value) ? undefined : parse(value);
+
+    return (a, b, direction = 1) => {
+        const left = toComparable(a);
+        const right = toComparable(b);
+
+        if (left === undefined || right === undefined) {
+            if (left === right) {
+                return 0;  // Оба значения пустые
+            }
+            return left === undefined ? emptyOrder : -emptyOrder;
+        }
+
+        const result = typeof left === 'string'
+            ? collator.compare(left, right)
+            : left - right;
+
+        return Math.sign(result) * direction;
+    };
+}
@@ -6,16 +6,32 @@
  * Это особенно полезно для валидации данных или фильтрации объектов.
  */
 
+import {isIsoDate} from "./dates.js";
+
 // Вспомогательная функция для проверки, является ли значение пустым
-// Подробнее: пустыми значениями в JavaScript считаются undefined, null, 
-// пустая строка и NaN (Not-a-Number)
+// Подробнее: пустыми значениями в JavaScript считаются undefined, null,
+// строка из пробелов и NaN (Not-a-Number). Этой же функцией пустые значения
+// определяют сортировка (comparators.js), проверка наборов и панель фильтров
 const isEmpty = (value) => {
     return value === undefined ||
         value === null ||
-        value === '' ||
+        (typeof value === 'string' && value.trim() === '') ||
         (typeof value === 'number' && isNaN(value));
 };
 
+// Вспомогательная функция для приведения границы диапазона и значения к сравнимому виду
+// Подробнее: даты ISO сравниваются как отметки времени, а не как строки, поэтому
+// "2023-12-04" и "2023-12-04T10:30:00" сравниваются правильно. Дата без времени
+// в верхней границе означает конец этого дня — иначе диапазон «по 4 декабря»
+// не включал бы записи, сделанные 4 декабря после полуночи
+const toComparable = (value, endOfDay = false) => {
+    if (isIsoDate(value)) {
+        const time = Date.parse(value);
+        return endOfDay && value.length === 10 ? time + 24 * 60 * 60 * 1000 - 1 : time;
+    }
+    return value;
+};
+
 /**
  * Коллекция правил сравнения, которые можно выбирать и применять
  *
@@ -55,18 +71,20 @@ const rules = {
     },
 
     // Обрабатывать массив как диапазон [от, до]
-    // Подробнее: это позволяет проверить, попадает ли число
-    // в заданный диапазон. Например, [10, 20] означает от 10 до 20 включительно
+    // Подробнее: это позволяет проверить, попадает ли число или дата
+    // в заданный диапазон. Например, [10, 20] означает от 10 до 20 включительно,
+    // а ["2023-12-01", "2023-12-31"] — весь декабрь 2023 года
     arrayAsRange: () => (key, sourceValue, targetValue) => {
         //я массив
         if (Array.isArray(targetValue)) {
             if (targetValue.length === 2) {
                 const [from, to] = targetValue;
+                const value = toComparable(sourceValue);
 
-                if (!isEmpty(from) && sourceValue < from) {
+                if (!isEmpty(from) && value < toComparable(from)) {
                     return { result: false };
                 }
-                if (!isEmpty(to) && sourceValue > to) {
+                if (!isEmpty(to) && value > toComparable(to, true)) {
                     return { result: false };
                 }
                 return { result: true };
@@ -76,6 +94,36 @@ const rules = {
         return { continue: true };
     },
 
+    // Совпадение с любым из выбранных значений
+    // Подробнее: для перечисленных полей целевое значение — список допустимых
+    // значений (например, несколько выбранных продавцов), и объект подходит,
+    // если его значение есть в списке. Правило нужно ставить перед arrayAsRange,
+    // иначе список из двух значений будет принят за диапазон. Пустой список
+    // означает, что ничего не выбрано, и поле пропускается
+    anyOf: (fields) => (key, sourceValue, targetValue) => {
+        if (fields.includes(key) && Array.isArray(targetValue)) {
+            if (targetValue.length === 0) {
+                return { skip: true };
+            }
+            return {
+                result: Array.isArray(sourceValue)
+                    ? sourceValue.some(value => targetValue.includes(value))
+                    : targetValue.includes(sourceValue)
+            };
+        }
+        return { continue: true };
+    },
+
+    // Проверка, что массив в исходном объекте содержит значение
+    // Подробнее: исходное поле хранит список значений (например, артикулы
+    // товаров в чеке), а в целевом объекте — одно искомое значение
+    arrayIncludes: () => (key, sourceValue, targetValue) => {
+        if (Array.isArray(sourceValue) && !Array.isArray(targetValue)) {
+            return { result: sourceValue.includes(targetValue) };
+        }
+        return { continue: true };
+    },
+
     // Сравнение на включение подстроки
     // Подробнее: проверяет, содержит ли строка другую строку
     // без учёта регистра. Удобно для поиска по тексту.
@@ -106,6 +154,31 @@ const rules = {
         return { continue: true };
     },
 
+    // Точное совпадение строк без учета регистра
+    // Подробнее: как stringExactMatch, но "Ivan Petrov" и "ivan petrov"
+    // считаются одинаковыми — так удобнее сравнивать введённые пользователем значения
+    caseInsensitiveExactMatch: () => (key, sourceValue, targetValue) => {
+        if (typeof sourceValue === 'string' && typeof targetValue === 'string') {
+            return { result: sourceValue.toLowerCase() === targetValue.toLowerCase() };
+        }
+        return { continue: true };
+    },
+
+    // Сравнение с границей оператором: '>', '>=', '<' или '<='
+    // Подробнее: числа сравниваются как есть, даты ISO — как отметки времени.
+    // Дата без времени в строгой нижней и нестрогой верхней границе означает конец дня,
+    // как в arrayAsRange: "> 2023-12-04" — начиная с 5 декабря, "<= 2023-12-04" — по 4 декабря включительно
+    operatorComparison: (operator) => (key, sourceValue, targetValue) => {
+        const value = toComparable(sourceValue);
+        switch (operator) {
+            case '>': return { result: value > toComparable(targetValue, true) };
+            case '>=': return { result: value >= toComparable(targetValue) };
+            case '<': return { result: value < toComparable(targetValue) };
+            case '<=': return { result: value <= toComparable(targetValue, true) };
+        }
+        return { continue: true };
+    },
+
     // Сравнение на точное равенство значений
     // Подробнее: использует оператор === для строгого сравнения,
     // учитывающего как значение, так и тип данных
@@ -204,6 +277,7 @@ const defaultRules = [
     'skipEmptyTargetValues',
     'failOnEmptySource',
     'arrayAsRange',
+    'arrayIncludes',
     'stringIncludes',
     'exactEquality'
 ];
@@ -282,7 +356,7 @@ function compare(source, target, rulesList) {
 /**
  * Создает функцию сравнения с замыканием
  *
- * @param {Array<string>} ruleNames - Массив имен правил для использования
+ * @param {Array<string | Function>} ruleNames - Массив имен правил для использования
  * @param {Array<Function>} customRules - Массив пользовательских функций-правил
  * @returns {Function} - Функция для сравнения объектов
  *
@@ -290,11 +364,19 @@ function compare(source, target, rulesList) {
  * чтобы создать настраиваемую функцию сравнения с предварительно заданными правилами.
  * Это позволяет повторно использовать одни и те же настройки сравнения без их
  * повторного определения.
+ *
+ * Пользовательские правила из customRules применяются после именованных. Если правило
+ * с параметрами должно стоять между именованными, его можно передать прямо в ruleNames:
+ * createComparison(['skipEmptyTargetValues', rules.anyOf(['seller']), 'exactEquality'])
  */
 function createComparison(ruleNames, customRules = []) {
     return (source, target) => {
         const rulesList = [
             ...ruleNames.map(ruleName => {
+                // Готовое правило-функция
+                if (typeof ruleName === 'function') {
+                    return ruleName;
+                }
                 // Для правил, которым нужны параметры
                 if (ruleName === 'skipNonExistentSourceFields') {
                     return rules[ruleName](source);
@@ -312,6 +394,7 @@ function createComparison(ruleNames, customRules = []) {
 // Подробнее: это делает функции доступными для импорта в другие файлы,
 // что необходимо для модульного подхода в современном JavaScript
 export {
+    isEmpty,
     compare,
     rules,
     defaultRules,
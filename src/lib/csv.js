@@ -0,0 +1,135 @@
+/**
+ * Модуль разбора CSV
+ *
+ * Поддерживает формат RFC 4180: поля в двойных кавычках могут содержать
+ * разделители, переводы строк и кавычки (удвоенные). Разделитель — запятая,
+ * точка с запятой или табуляция — определяется по строке заголовков, так как
+ * выгрузки из Excel с русской локалью используют точку с запятой.
+ */
+
+const delimiters = [',', ';', '\t'];
+
+/**
+ * Определяет разделитель по первой строке: тот, что встречается чаще других вне кавычек
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+    return delimiters.reduce((best, delimiter) =>
+        firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+    );
+};
+
+/**
+ * Разбирает CSV в массив объектов по строке заголовков
+ *
+ * @param {string} text - Содержимое CSV-файла
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Разделитель полей; по умолчанию определяется автоматически
+ * @returns {{headers: string[], records: Array<{line: number, values: Object}>, errors: Array<{line: number, message: string}>}}
+ *
+ * Подробнее: каждая запись хранит номер строки файла, с которой она начинается,
+ * чтобы ошибки проверки можно было показать пользователю с указанием места.
+ * Строки с числом полей, не совпадающим с заголовком, не попадают в records,
+ * а описываются в errors. Пустые строки пропускаются, BOM в начале файла отбрасывается.
+ */
+export function parseCsv(text, {delimiter} = {}) {
+    text = text.replace(/^\uFEFF/, '');
+    delimiter ??= detectDelimiter(text);
+
+    const rows = [];
+    const errors = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';  // удвоенная кавычка внутри поля
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({line: rowLine, cells: row});
+            row = [];
+            field = '';
+            rowLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        // незакрытая кавычка «съела» остаток файла — такую строку не разбираем
+        errors.push({line: rowLine, message: 'Unterminated quoted field'});
+    } else if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({line: rowLine, cells: row});
+    }
+
+    const filled = rows.filter(({cells}) => cells.some(cell => cell.trim() !== ''));
+    if (filled.length === 0) {
+        return {headers: [], records: [], errors: [...errors, {line: 1, message: 'File is empty'}]};
+    }
+
+    const [{cells: headerCells}, ...body] = filled;
+    const headers = headerCells.map(header => header.trim());
+    const records = [];
+
+    body.forEach(({line, cells}) => {
+        if (cells.length !== headers.length) {
+            errors.push({line, message: `Expected ${headers.length} fields, got ${cells.length}`});
+            return;
+        }
+        records.push({
+            line,
+            values: Object.fromEntries(headers.map((header, index) => [header, cells[index].trim()]))
+        });
+    });
+
+    return {headers, records, errors};
+}
+
+/**
+ * Собирает CSV из строк значений
+ *
+ * @param {Array<Array<any>>} rows - Строки таблицы, первая — заголовки
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Разделитель полей
+ * @param {boolean} [options.bom=true] - Добавить BOM в начало
+ * @returns {string}
+ *
+ * Подробнее: поле берётся в кавычки, если содержит разделитель, кавычку,
+ * перевод строки или пробелы по краям; кавычки внутри удваиваются.
+ * BOM нужен Excel, чтобы открыть файл в кодировке UTF-8, а не в системной,
+ * иначе кириллица и символы валют превращаются в «кракозябры».
+ */
+export function toCsv(rows, {delimiter = ',', bom = true} = {}) {
+    const escape = (value) => {
+        const text = String(value ?? '');
+        return text.includes(delimiter) || /["\r\n]|^\s|\s$/.test(text)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    };
+
+    const body = rows.map(row => row.map(escape).join(delimiter)).join('\r\n');
+    return (bom ? '\uFEFF' : '') + body + '\r\n';
+}
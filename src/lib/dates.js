@@ -0,0 +1,65 @@
+/**
+ * Даты в формате ISO и быстрые диапазоны дат для фильтра по дате
+ *
+ * isIsoDate() — единая проверка дат для сортировки, фильтрации, импорта и проверки наборов.
+ * Каждый вариант быстрого диапазона — подпись и функция (today) => [from, to], возвращающая границы
+ * включительно в формате "YYYY-MM-DD", как у полей <input type="date"> и дат в данных.
+ * Сегодняшняя дата берётся по часам пользователя.
+ */
+
+// Дата ISO 8601 без времени или со временем: "2023-12-04", "2023-12-04T10:15:00Z"
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Проверяет, что значение — строка с существующей датой в формате ISO 8601
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isIsoDate = (value) => typeof value === 'string' && isoDatePattern.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * Дата в формате "YYYY-MM-DD" по местному времени
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toIsoDate = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// дата со сдвигом на days дней; new Date() сам переносит переполнение дня в месяц и год
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// границы квартала со сдвигом на offset кварталов от квартала даты
+const quarter = (date, offset) => {
+    const firstMonth = Math.floor(date.getMonth() / 3) * 3 + offset * 3;
+    return [new Date(date.getFullYear(), firstMonth, 1), new Date(date.getFullYear(), firstMonth + 3, 0)];
+};
+
+export const datePresets = {
+    'last-7-days': {label: 'Last 7 days', range: (today) => [addDays(today, -6), today]},
+    'last-30-days': {label: 'Last 30 days', range: (today) => [addDays(today, -29), today]},
+    'this-month': {
+        label: 'This month',
+        range: (today) => [new Date(today.getFullYear(), today.getMonth(), 1), new Date(today.getFullYear(), today.getMonth() + 1, 0)]
+    },
+    'last-month': {
+        label: 'Last month',
+        range: (today) => [new Date(today.getFullYear(), today.getMonth() - 1, 1), new Date(today.getFullYear(), today.getMonth(), 0)]
+    },
+    'this-quarter': {label: 'This quarter', range: (today) => quarter(today, 0)},
+    'last-quarter': {label: 'Last quarter', range: (today) => quarter(today, -1)},
+    'this-year': {label: 'This year', range: (today) => [new Date(today.getFullYear(), 0, 1), new Date(today.getFullYear(), 11, 31)]}
+};
+
+/**
+ * Границы быстрого диапазона
+ *
+ * @param {string} key - ключ в datePresets
+ * @param {Date} [today]
+ * @returns {[string, string] | null} - [from, to] в формате "YYYY-MM-DD" или null для неизвестного ключа
+ */
+export function getPresetRange(key, today = new Date()) {
+    return datePresets[key] ? datePresets[key].range(today).map(toIsoDate) : null;
+}
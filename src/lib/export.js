@@ -0,0 +1,56 @@
+/**
+ * Модуль выгрузки строк таблицы в файлы
+ *
+ * Выгружаются те же колонки и в том же виде, что и в таблице: заголовки —
+ * подписи колонок (label), значения — результат форматтеров колонок.
+ * В XLSX числовые колонки записываются числами, чтобы с ними можно было считать.
+ */
+
+import {toCsv} from "./csv.js";
+import {createXlsx} from "./xlsx.js";
+
+// Типы колонок, значения которых в XLSX записываются числами
+const numericTypes = ['number', 'currency'];
+
+/**
+ * Выводимое значение ячейки
+ */
+const formatCell = (column, item) => String(
+    (column.formatter ? column.formatter(item[column.key], item) : item[column.key]) ?? ''
+);
+
+/**
+ * Форматы выгрузки: каждый строит Blob по строкам данных и описанию колонок
+ *
+ * Подробнее: JSON — массив объектов с подписями колонок в качестве ключей,
+ * так файл читается так же, как таблица на экране. Внутренние поля строк
+ * (id, позиции чека, списки товаров) не выгружаются.
+ */
+export const exportFormats = {
+    csv: {
+        extension: 'csv',
+        build: (rows, columns) => new Blob([toCsv([
+            columns.map(column => column.label),
+            ...rows.map(item => columns.map(column => formatCell(column, item)))
+        ])], {type: 'text/csv;charset=utf-8'})
+    },
+    json: {
+        extension: 'json',
+        build: (rows, columns) => new Blob([JSON.stringify(
+            rows.map(item => Object.fromEntries(columns.map(column => [column.label, formatCell(column, item)]))),
+            null, 2
+        )], {type: 'application/json'})
+    },
+    xlsx: {
+        extension: 'xlsx',
+        build: (rows, columns, {sheetName} = {}) => new Blob([createXlsx([
+            columns.map(column => column.label),
+            ...rows.map(item => columns.map(column => {
+                const value = item[column.key];
+                return numericTypes.includes(column.type) && typeof value === 'number' && isFinite(value)
+                    ? value
+                    : formatCell(column, item);
+            }))
+        ], {sheetName})], {type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'})
+    }
+};
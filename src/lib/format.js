@@ -0,0 +1,59 @@
+/**
+ * Модуль форматирования значений для вывода в ячейках таблицы
+ *
+ * Форматирование влияет только на отображение: сортировка, фильтрация
+ * и поиск по-прежнему работают с исходными значениями строк данных.
+ */
+
+/**
+ * Создаёт набор форматтеров с общими локалью и валютой
+ *
+ * @param {Object} [options]
+ * @param {string} [options.locale='en-US'] - Локаль для чисел, дат и регистра букв
+ * @param {string} [options.currency='USD'] - Код валюты ISO 4217 для сумм
+ * @returns {{currency: Function, number: Function, percent: Function, date: Function, person: Function}} - Функции (value) => string
+ *
+ * Подробнее: объекты Intl.NumberFormat и Intl.DateTimeFormat создаются
+ * один раз и переиспользуются для всех ячеек — их создание заметно дороже,
+ * чем вызов format(). Пустые и нераспознанные значения выводятся как пустая строка,
+ * а не как "NaN" или "Invalid Date".
+ */
+export function createFormatters({locale = 'en-US', currency = 'USD'} = {}) {
+    const currencyFormat = new Intl.NumberFormat(locale, {style: 'currency', currency});
+    const numberFormat = new Intl.NumberFormat(locale, {maximumFractionDigits: 2});
+    const percentFormat = new Intl.NumberFormat(locale, {style: 'percent', maximumFractionDigits: 1});
+    // Даты в данных хранятся без времени ("2023-12-04") и разбираются как полночь UTC,
+    // поэтому выводим их тоже в UTC, иначе в западных часовых поясах дата сдвинется на день назад
+    const dateFormat = new Intl.DateTimeFormat(locale, {dateStyle: 'medium', timeZone: 'UTC'});
+
+    const toNumber = (value) => value === '' || value === null || value === undefined ? NaN : Number(value);
+
+    return {
+        // 4657.56 -> "$4,657.56"
+        currency: (value) => {
+            const number = toNumber(value);
+            return isNaN(number) ? '' : currencyFormat.format(number);
+        },
+        // 1234.5 -> "1,234.5"
+        number: (value) => {
+            const number = toNumber(value);
+            return isNaN(number) ? '' : numberFormat.format(number);
+        },
+        // 12.5 -> "12.5%" (значение уже в процентах, а не в долях)
+        percent: (value) => {
+            const number = toNumber(value);
+            return isNaN(number) ? '' : percentFormat.format(number / 100);
+        },
+        // "2023-12-04" -> "Dec 4, 2023"
+        date: (value) => {
+            const time = value instanceof Date ? value.getTime() : Date.parse(value);
+            return isNaN(time) ? '' : dateFormat.format(time);
+        },
+        // "  ivan   PETROV " -> "Ivan Petrov"
+        person: (value) => typeof value !== 'string' ? '' : value
+            .trim()
+            .split(/\s+/)
+            .map(part => part.charAt(0).toLocaleUpperCase(locale) + part.slice(1).toLocaleLowerCase(locale))
+            .join(' ')
+    };
+}
@@ -0,0 +1,122 @@
+/**
+ * Нечёткое сравнение строк для поиска с опечатками
+ *
+ * Искомый текст сравнивается со значением поля по словам: совпадения целиком,
+ * со словом, с началом слова и с подстрокой оцениваются выше, чем совпадения
+ * с опечатками, поэтому по оценке строки можно упорядочить по качеству совпадения.
+ */
+
+/**
+ * Расстояние Левенштейна: наименьшее число вставок, удалений и замен символов,
+ * превращающих одну строку в другую
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity] - наибольшее интересующее расстояние
+ * @returns {number} - расстояние или max + 1, если оно заведомо больше max
+ *
+ * Подробнее: хранятся только две последние строки матрицы расстояний, а подсчёт
+ * прекращается, как только все значения строки превысили max, — при поиске по
+ * тысячам строк почти все слова отсеиваются после нескольких символов.
+ */
+export function levenshtein(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previous = Array.from({length: b.length + 1}, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Допустимое число опечаток для искомого слова
+ *
+ * @param {string} term
+ * @returns {number}
+ *
+ * Подробнее: в коротких словах одна замена уже даёт другое слово ("Ivan" и "Ivar"),
+ * поэтому опечатки допускаются только в словах от четырёх букв. Текст с цифрами
+ * (даты, суммы, артикулы) ищется только точно: "2023-12-05" не должен находить "2023-12-04",
+ * а "SKU_027" — "SKU_021".
+ */
+export const maxTypos = (term) => {
+    if (/\d/.test(term)) {
+        return 0;
+    }
+    return term.length <= 3 ? 0 : term.length <= 5 ? 1 : 2;
+};
+
+// Нижний регистр без диакритики и лишних пробелов: " Alekséy  Petrov" -> "aleksey petrov"
+const normalize = (text) => String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Оценка совпадения искомого текста со значением поля
+ *
+ * @param {string} term - искомое слово или фраза
+ * @param {string} text - значение поля
+ * @returns {number} - от 0 (нет совпадения) до 1
+ *
+ * Подробнее: 1 — значение совпадает целиком, 0.9 — совпадает слово (или столько же
+ * слов подряд, сколько во фразе), 0.8 — начало слова, 0.7 — подстрока. Слова
+ * с опечатками получают не больше 0.6, тем меньше, чем больше опечаток:
+ * "aleksey" находит "Alexey Petrov" с оценкой 0.6 × (1 − 2/7) ≈ 0.43.
+ * Фрагмент с опечатками сравнивается и целиком, и по началу той же длины,
+ * чтобы недописанное слово с опечаткой ("petrv" для "Petrova") тоже находилось.
+ */
+export function fuzzyScore(term, text) {
+    const needle = normalize(term);
+    const haystack = normalize(text);
+    if (needle === '') {
+        return 1;
+    }
+    if (haystack === needle) {
+        return 1;
+    }
+
+    const words = haystack.split(/\s+/).filter(Boolean);
+    const size = needle.split(/\s+/).length;
+    // фрагменты значения из стольких же слов подряд, сколько в искомом тексте
+    const fragments = words.length > size
+        ? words.slice(0, words.length - size + 1).map((_, i) => words.slice(i, i + size).join(' '))
+        : [haystack];
+
+    if (fragments.includes(needle)) {
+        return 0.9;
+    }
+    if (fragments.some(fragment => fragment.startsWith(needle))) {
+        return 0.8;
+    }
+    if (haystack.includes(needle)) {
+        return 0.7;
+    }
+
+    const typos = maxTypos(needle);
+    if (typos === 0) {
+        return 0;
+    }
+    const distance = Math.min(...fragments.flatMap(fragment => [
+        levenshtein(needle, fragment, typos),
+        levenshtein(needle, fragment.slice(0, needle.length), typos)
+    ]));
+    return distance <= typos ? 0.6 * (1 - distance / needle.length) : 0;
+}
@@ -0,0 +1,348 @@
+/**
+ * Модуль импорта исходных данных из файлов CSV и JSON
+ *
+ * Файлы приводятся к формату наборов dataset_N.js: sellers, customers,
+ * products и purchase_records. Каждая запись проверяется по описанию полей
+ * коллекции; записи с ошибками не попадают в результат, а ошибки
+ * возвращаются с указанием файла и строки, чтобы их можно было показать пользователю.
+ */
+
+import {parseCsv} from "./csv.js";
+import {parseLocaleNumber} from "./utils.js";
+import {isIsoDate} from "./dates.js";
+
+/**
+ * Описание полей коллекций: тип и обязательность («?» в конце — необязательное поле)
+ * и ключевое поле (key), значения которого не должны повторяться
+ *
+ * Подробнее: коллекция CSV-файла определяется сначала по характерным колонкам (detect),
+ * а по имени файла (names — слова, которые в нём ищутся) — только если колонки ни на одну
+ * коллекцию не указывают: продавцы и покупатели различаются лишь необязательными полями,
+ * и без них файл из одних id и имён можно отнести только по имени.
+ */
+export const collections = {
+    sellers: {
+        fields: {id: 'string', first_name: 'string', last_name: 'string', start_date: 'date?', position: 'string?'},
+        key: 'id',
+        names: ['seller'],
+        detect: (headers) => headers.includes('start_date')
+    },
+    customers: {
+        fields: {
+            id: 'string', first_name: 'string', last_name: 'string',
+            phone: 'string?', workplace: 'string?', position: 'string?'
+        },
+        key: 'id',
+        names: ['customer'],
+        detect: (headers) => headers.includes('workplace') || headers.includes('phone')
+    },
+    products: {
+        fields: {sku: 'string', name: 'string', category: 'string', purchase_price: 'number', sale_price: 'number'},
+        key: 'sku',
+        names: ['product'],
+        detect: (headers) => headers.includes('sku') && headers.includes('purchase_price')
+    },
+    purchase_records: {
+        fields: {
+            receipt_id: 'string', date: 'date', seller_id: 'string', customer_id: 'string',
+            total_amount: 'number', total_discount: 'number?'
+        },
+        key: 'receipt_id',
+        names: ['purchase', 'receipt', 'record'],
+        detect: (headers) => headers.includes('receipt_id')
+    }
+};
+
+// Поля позиции чека
+export const itemFields = {sku: 'string', quantity: 'number', sale_price: 'number', discount: 'number?'};
+
+/**
+ * Приведение значения поля к типу: возвращает {value} или {error}
+ */
+const coerce = {
+    string: (value) => ({value: String(value).trim()}),
+    number: (value) => {
+        const number = parseLocaleNumber(value);
+        return isNaN(number) ? {error: `"${value}" is not a number`} : {value: number};
+    },
+    date: (value) => {
+        const text = String(value).trim();
+        return isIsoDate(text)
+            ? {value: text.slice(0, 10)}
+            : {error: `"${value}" is not a date in YYYY-MM-DD format`};
+    }
+};
+
+/**
+ * Проверяет запись по описанию полей и приводит значения к нужным типам
+ *
+ * @param {Object} values - Значения полей записи
+ * @param {Object<string, string>} fields - Описание полей
+ * @returns {{record: Object, errors: string[]}}
+ */
+function coerceRecord(values, fields) {
+    const record = {};
+    const errors = [];
+
+    Object.entries(fields).forEach(([name, spec]) => {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = values[name];
+
+        if (value === undefined || value === null || String(value).trim() === '') {
+            if (!optional) {
+                errors.push(`Missing required field "${name}"`);
+            }
+            return;
+        }
+
+        const result = coerce[type](value);
+        if (result.error) {
+            errors.push(`Field "${name}": ${result.error}`);
+        } else {
+            record[name] = result.value;
+        }
+    });
+
+    return {record, errors};
+}
+
+/**
+ * Определяет коллекцию CSV-файла по заголовкам, а если они не подходят ни к одной — по имени файла
+ *
+ * @param {string} fileName
+ * @param {string[]} headers
+ * @returns {string | undefined}
+ */
+const detectCollection = (fileName, headers) => {
+    const name = fileName.toLowerCase();
+    return Object.keys(collections).find(key => collections[key].detect(headers))
+        ?? Object.keys(collections).find(key => collections[key].names.some(word => name.includes(word)));
+};
+
+/**
+ * Проверяет позиции чека
+ *
+ * @param {Array} items
+ * @param {string} location - Место записи для сообщений об ошибках
+ * @returns {{items: Array, errors: Array<{location: string, message: string}>}}
+ */
+function coerceItems(items, location) {
+    const errors = [];
+    if (!Array.isArray(items) || items.length === 0) {
+        return {items: [], errors: [{location, message: 'Receipt has no items'}]};
+    }
+
+    const result = [];
+    items.forEach((item, index) => {
+        const {record, errors: itemErrors} = coerceRecord(item ?? {}, itemFields);
+        itemErrors.forEach(message => errors.push({location: `${location}, item ${index + 1}`, message}));
+        if (itemErrors.length === 0) {
+            result.push({discount: 0, ...record});
+        }
+    });
+    return {items: result, errors};
+}
+
+/**
+ * Разбирает CSV-файл одной коллекции
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {{collection?: string, entries: Array<{record: Object, location: string}>, errors: Array<{location: string, message: string}>}}
+ *
+ * Подробнее: записи о покупках в CSV хранятся построчно по позициям: каждая
+ * строка содержит поля чека (receipt_id, date, ...) и поля одной позиции
+ * (sku, quantity, sale_price, discount), строки одного чека объединяются.
+ * Также поддерживается колонка items с позициями чека в формате JSON.
+ */
+function parseCsvFile(fileName, text) {
+    const {headers, records, errors: csvErrors} = parseCsv(text);
+    const errors = csvErrors.map(({line, message}) => ({location: `line ${line}`, message}));
+    const collection = detectCollection(fileName, headers);
+
+    if (!collection) {
+        errors.push({location: 'header', message: `Cannot tell which collection the columns belong to: ${headers.join(', ')}`});
+        return {entries: [], errors};
+    }
+
+    if (collection !== 'purchase_records') {
+        const result = [];
+        records.forEach(({line, values}) => {
+            const {record, errors: recordErrors} = coerceRecord(values, collections[collection].fields);
+            recordErrors.forEach(message => errors.push({location: `line ${line}`, message}));
+            if (recordErrors.length === 0) {
+                result.push({record, location: `line ${line}`});
+            }
+        });
+        return {collection, entries: result, errors};
+    }
+
+    // объединяем строки позиций в чеки, сохраняя порядок первого появления чека.
+    // Поля чека проверяются в каждой строке: строка с ошибкой или с полями, которые расходятся
+    // с первой строкой того же чека, исключает чек целиком, а его следующие строки тоже отмечаются ошибкой
+    const receipts = new Map();
+    const headerFields = Object.keys(collections.purchase_records.fields);
+    records.forEach(({line, values}) => {
+        const location = `line ${line}`;
+        const {record, errors: recordErrors} = coerceRecord(values, collections.purchase_records.fields);
+        let receipt = receipts.get(record.receipt_id);
+
+        if (receipt && !receipt.record) {
+            errors.push({location, message: `Receipt "${record.receipt_id}" is skipped because of errors on ${receipt.failedAt}`});
+            return;
+        }
+        recordErrors.forEach(message => errors.push({location, message}));
+        if (recordErrors.length > 0) {
+            // строка без номера чека не относится ни к одному чеку
+            if (record.receipt_id !== undefined) {
+                receipts.set(record.receipt_id, {...receipt, record: null, failedAt: location});
+            }
+            return;
+        }
+
+        if (!receipt) {
+            receipt = {record: {...record, items: []}, location};
+            receipts.set(record.receipt_id, receipt);
+        } else {
+            const conflicts = headerFields.filter(name => record[name] !== receipt.record[name]);
+            if (conflicts.length > 0) {
+                conflicts.forEach(name => errors.push({
+                    location,
+                    message: `Field "${name}" is "${record[name] ?? ''}", but ${receipt.location} of the same receipt has "${receipt.record[name] ?? ''}"`
+                }));
+                receipts.set(record.receipt_id, {...receipt, record: null, failedAt: location});
+                return;
+            }
+        }
+
+        let rawItems;
+        if (headers.includes('items')) {
+            try {
+                rawItems = JSON.parse(values.items);
+            } catch {
+                errors.push({location, message: 'Field "items" is not valid JSON'});
+                return;
+            }
+        } else {
+            rawItems = [values];
+        }
+
+        const {items, errors: itemErrors} = coerceItems(rawItems, location);
+        errors.push(...itemErrors);
+        receipt.record.items.push(...items);
+    });
+
+    const result = [...receipts.values()]
+        .filter(({record}) => record && record.items.length > 0)
+        .map(({record, location}) => ({record: {total_discount: 0, ...record}, location}));
+
+    return {collection, entries: result, errors};
+}
+
+/**
+ * Разбирает JSON-файл с одной или несколькими коллекциями
+ *
+ * @param {string} text
+ * @returns {{collections: Object<string, Array<{record: Object, location: string}>>, errors: Array<{location: string, message: string}>}}
+ */
+function parseJsonFile(text) {
+    let json;
+    try {
+        json = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (e) {
+        return {collections: {}, errors: [{location: 'file', message: `Invalid JSON: ${e.message}`}]};
+    }
+
+    // набор целиком может лежать в поле data, как в модулях dataset_N.js
+    const source = json && typeof json === 'object' && !Array.isArray(json) && json.data ? json.data : json;
+    const errors = [];
+    const result = {};
+
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        return {collections: {}, errors: [{location: 'file', message: 'Expected an object with sellers, customers, products or purchase_records'}]};
+    }
+
+    Object.keys(collections).filter(key => key in source).forEach(key => {
+        if (!Array.isArray(source[key])) {
+            errors.push({location: key, message: 'Expected an array'});
+            return;
+        }
+        result[key] = [];
+        source[key].forEach((values, index) => {
+            const location = `${key}[${index}]`;
+            const {record, errors: recordErrors} = coerceRecord(values ?? {}, collections[key].fields);
+            recordErrors.forEach(message => errors.push({location, message}));
+
+            if (key === 'purchase_records') {
+                const {items, errors: itemErrors} = coerceItems(values?.items, location);
+                errors.push(...itemErrors);
+                if (recordErrors.length === 0 && itemErrors.length === 0) {
+                    result[key].push({record: {total_discount: 0, ...record, items}, location});
+                }
+            } else if (recordErrors.length === 0) {
+                result[key].push({record, location});
+            }
+        });
+    });
+
+    if (Object.keys(result).length === 0 && errors.length === 0) {
+        errors.push({location: 'file', message: 'No sellers, customers, products or purchase_records found'});
+    }
+
+    return {collections: result, errors};
+}
+
+/**
+ * Разбирает набор файлов в исходные данные таблицы
+ *
+ * @param {Array<{name: string, text: string}>} files - Имена и содержимое файлов
+ * @returns {{source: Object, errors: Array<{file: string, location: string, message: string}>}}
+ *
+ * Подробнее: формат файла определяется по расширению (.json, иначе .csv, .tsv или .txt).
+ * В source попадают только найденные коллекции — недостающие (например,
+ * справочник товаров, если импортированы только чеки) берутся из текущего источника.
+ * Если одна коллекция пришла из нескольких файлов, записи объединяются; запись с уже встречавшимся
+ * ключом (например, номером чека) не принимается и описывается в errors.
+ */
+export function parseImportFiles(files) {
+    const source = {};
+    const errors = [];
+    // место первой записи по значению ключа в каждой коллекции: повторы ключа не принимаются,
+    // так как по ключу записи связываются между собой, а строки таблицы — с разметкой
+    const seen = {};
+
+    files.forEach(({name, text}) => {
+        const addErrors = (fileErrors) => errors.push(...fileErrors.map(error => ({file: name, ...error})));
+        const addRecords = (collection, entries) => {
+            const key = collections[collection].key;
+            seen[collection] ??= new Map();
+            source[collection] ??= [];
+            entries.forEach(({record, location}) => {
+                const first = seen[collection].get(record[key]);
+                if (first) {
+                    addErrors([{location, message: `Duplicate ${key} "${record[key]}", already used in ${first.file === name ? '' : `${first.file}, `}${first.location}`}]);
+                    return;
+                }
+                seen[collection].set(record[key], {file: name, location});
+                source[collection].push(record);
+            });
+        };
+
+        if (!/\.(csv|tsv|txt|json)$/i.test(name)) {
+            addErrors([{location: 'file', message: 'Unsupported file type, expected .csv or .json'}]);
+        } else if (/\.json$/i.test(name)) {
+            const {collections: parsed, errors: fileErrors} = parseJsonFile(text);
+            addErrors(fileErrors);
+            Object.entries(parsed).forEach(([collection, entries]) => addRecords(collection, entries));
+        } else {
+            const {collection, entries, errors: fileErrors} = parseCsvFile(name, text);
+            addErrors(fileErrors);
+            if (collection) {
+                addRecords(collection, entries);
+            }
+        }
+    });
+
+    return {source, errors};
+}
@@ -0,0 +1,225 @@
+/**
+ * Запрос к данным таблицы: сериализация в параметры адреса и выполнение над массивом строк
+ *
+ * Запрос — объект {page, limit, sort, search, fuzzy, filter}:
+ * page — номер страницы с единицы, limit — строк на странице (Infinity — все строки),
+ * sort — ключи сортировки [{field, order}] по приоритету, search — строка поиска,
+ * fuzzy — нечёткий поиск с опечатками и упорядочиванием по качеству совпадения,
+ * filter — значения полей строки фильтров по их именам, например {seller: ['...', '...'], totalFrom: '100'};
+ * у фильтров с выбором нескольких значений значение — массив.
+ *
+ * Один и тот же runQuery() выполняет запрос и в браузере над загруженным набором,
+ * и в тестовом API, поэтому таблица ведёт себя одинаково в обоих режимах.
+ */
+
+import {createComparison, defaultRules, rules} from "./compare.js";
+import {sortCollectionByKeys} from "./sort.js";
+import {parseLocaleNumber} from "./utils.js";
+import {compileSearch, parseSearch} from "./search.js";
+
+// Виды фильтров колонок, которые задаются двумя полями: <key>From и <key>To
+export const rangeFilters = ['range', 'dateRange'];
+
+// Виды фильтров с выбором нескольких значений
+const multipleFilters = ['multiSelect', 'combobox'];
+
+// Виды фильтров с вариантами, для которых считается число подходящих строк
+const facetFilters = ['select', 'multiSelect', 'combobox'];
+
+/**
+ * Переводит запрос в параметры адреса
+ *
+ * @param {Object} query
+ * @returns {URLSearchParams}
+ *
+ * Подробнее: пустые значения не передаются; ключи сортировки записываются
+ * одним параметром sort=total:down,date:up, поля фильтров — как filter[имя]=значение,
+ * а несколько значений одного поля — повтором параметра: filter[seller]=A&filter[seller]=B.
+ * Параметр limit не передаётся, если запрошены все строки.
+ */
+export function serializeQuery({page, limit, sort = [], search, fuzzy, filter = {}}) {
+    const params = new URLSearchParams();
+    if (page) {
+        params.set('page', page);
+    }
+    if (Number.isFinite(limit)) {
+        params.set('limit', limit);
+    }
+    if (sort.length > 0) {
+        params.set('sort', sort.map(({field, order}) => `${field}:${order}`).join(','));
+    }
+    if (search) {
+        params.set('search', search);
+    }
+    if (fuzzy) {
+        params.set('fuzzy', '1');
+    }
+    Object.entries(filter)
+        .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+        .forEach(([name, value]) => [].concat(value).forEach(item => params.append(`filter[${name}]`, item)));
+    return params;
+}
+
+/**
+ * Восстанавливает запрос из параметров адреса
+ *
+ * @param {URLSearchParams} params
+ * @returns {Object}
+ */
+export function parseQuery(params) {
+    const page = parseInt(params.get('page'));
+    const limit = parseInt(params.get('limit'));
+    const filter = {};
+    params.forEach((value, name) => {
+        const match = name.match(/^filter\[(.+)\]$/);
+        if (match) {
+            // повторённый параметр — несколько значений одного поля
+            filter[match[1]] = match[1] in filter ? [].concat(filter[match[1]], value) : value;
+        }
+    });
+
+    return {
+        page: page > 0 ? page : 1,
+        limit: limit > 0 ? limit : Infinity,
+        sort: (params.get('sort') ?? '')
+            .split(',')
+            .filter(Boolean)
+            .map(key => {
+                const [field, order] = key.split(':');
+                return {field, order};
+            }),
+        search: params.get('search') ?? '',
+        fuzzy: params.get('fuzzy') === '1',
+        filter
+    };
+}
+
+/**
+ * Границы фильтра-диапазона в том виде, в каком их сравнивает runQuery()
+ *
+ * @param {[*, *]} bounds - значения полей <key>From и <key>To
+ * @param {'range' | 'dateRange'} kind - вид фильтра колонки
+ * @returns {{range: [number | string, number | string], reversed: boolean}} - границы и признак того,
+ * что они были заданы в обратном порядке
+ *
+ * Подробнее: границы числового диапазона разбираются как числа в любой записи ("1 000", "1,5"),
+ * пустая или нераспознанная граница — ''; границы в обратном порядке меняются местами.
+ * Поля фильтров в браузере показывают границы по этой же функции, чтобы не расходиться с запросом.
+ */
+export function normalizeRange([from = '', to = ''], kind) {
+    let range = [from ?? '', to ?? ''];
+    if (kind === 'range') {
+        range = range.map(bound => {
+            const number = parseLocaleNumber(bound);
+            return isNaN(number) ? '' : number;
+        });
+    }
+    const reversed = range[0] !== '' && range[1] !== '' && range[0] > range[1];
+    return {range: reversed ? range.reverse() : range, reversed};
+}
+
+/**
+ * Выполняет запрос над строками данных: поиск, фильтрация, сортировка и выбор страницы
+ *
+ * @param {Array<Object>} data - строки данных из initData()
+ * @param {Object} query - запрос, см. описание модуля
+ * @param {Object} options
+ * @param {Array<Object>} options.columns - описание колонок: типы для сортировки, виды фильтров
+ * @param {Array<Object>} [options.filters] - фильтры без своей колонки, см. filters в columns.js
+ * @param {string[]} options.searchFields - поля, по которым ищут слова строки поиска без указания поля
+ * @param {string} [options.locale] - локаль сравнения строк при сортировке
+ * @param {'first' | 'last'} [options.empty] - положение пустых значений при сортировке
+ * @returns {{total: number, items: Array<Object>, facets: Object<string, Object<string, number>>}} - число найденных строк,
+ * строки страницы и число строк по значениям полей фильтров-списков
+ *
+ * Подробнее: строка поиска — запрос на языке lib/search.js; запрос с ошибкой
+ * вызывает исключение, браузер такой запрос не отправляет (см. initSearching).
+ * В нечётком режиме найденные строки копируются с полем score — оценкой совпадения в процентах,
+ * и если сортировка не выбрана, упорядочиваются по ней; без него строки возвращаются как есть.
+ * Для колонок с фильтром 'range' и 'dateRange' поля <key>From и <key>To собираются
+ * в диапазон [от, до] по normalizeRange(), только если задана хотя бы одна граница, — иначе строки
+ * с пустым значением поля отсеивались бы пустым фильтром. Фильтр колонки с filterField (например, покупатель
+ * по идентификатору) сравнивается с этим полем на точное совпадение. Для фильтров-списков ('select',
+ * 'multiSelect', 'combobox') в facets считается, сколько строк дало бы каждое значение поля
+ * при остальных активных фильтрах: {seller: {'Ivan Petrov': 12}}; значения, которых нет
+ * ни в одной такой строке, в facets не попадают. Сортировать можно
+ * только по колонкам с sortable: true, остальные ключи сортировки пропускаются.
+ */
+export function runQuery(data, query, {columns, filters = [], searchFields, locale, empty}) {
+    const {page = 1, limit = Infinity, sort = [], search = '', fuzzy = false, filter = {}} = query;
+
+    const parsed = parseSearch(search, {columns, filters});
+    if (parsed.error) {
+        throw new Error(`Invalid search query: ${parsed.error.message}`);
+    }
+    // оценка совпадения в процентах — поле score копии строки; без нечёткого поиска строки
+    // не копируются, чтобы таблица узнавала их и не перестраивала раскрытые подробности
+    const ranked = fuzzy && parsed.query !== null;
+    const scoreRow = compileSearch(parsed.query, {searchFields, fuzzy});
+    const found = data.reduce((rows, row) => {
+        const score = scoreRow(row);
+        if (score > 0) {
+            rows.push(ranked ? {...row, score: Math.round(score * 100)} : row);
+        }
+        return rows;
+    }, []);
+
+    const target = {...filter};
+    columns.filter(column => rangeFilters.includes(column.filter)).forEach(({key, filter: kind}) => {
+        const {range} = normalizeRange([filter[`${key}From`], filter[`${key}To`]], kind);
+        delete target[key];
+        if (range.some(bound => bound !== '')) {
+            target[key] = range;
+        }
+    });
+    // значения фильтров с выбором нескольких значений — всегда список, даже из одного значения
+    const multiple = [...columns, ...filters].filter(column => multipleFilters.includes(column.filter)).map(column => column.key);
+    multiple.forEach(key => {
+        if (key in target) {
+            target[key] = [].concat(target[key]);
+        }
+    });
+    // фильтр с filterField сравнивается с другим полем строки и только на точное совпадение
+    const exact = [...columns, ...filters].filter(column => column.filterField);
+    exact.forEach(({key, filterField}) => {
+        if (key in target) {
+            target[filterField] = [].concat(target[key]);
+            delete target[key];
+        }
+    });
+    const anyOf = rules.anyOf([...multiple, ...exact.map(column => column.filterField)]);
+    const filterCompare = createComparison(defaultRules.toSpliced(defaultRules.indexOf('arrayAsRange'), 0, anyOf));
+    let result = found.filter(row => filterCompare(row, target));
+
+    // число строк на каждое значение поля с учётом поиска и всех фильтров, кроме фильтра по самому полю
+    const facets = Object.fromEntries([...columns, ...filters]
+        .filter(column => facetFilters.includes(column.filter))
+        .map(({key, filterField = key}) => {
+            const others = {...target};
+            delete others[filterField];
+            const counts = {};
+            found
+                .filter(row => filterCompare(row, others))
+                .forEach(row => [].concat(row[filterField] ?? []).forEach(value => {
+                    counts[value] = (counts[value] ?? 0) + 1;
+                }));
+            return [key, counts];
+        }));
+
+    const sortable = Object.fromEntries(columns.filter(column => column.sortable).map(column => [column.key, column]));
+    const sortKeys = sort
+        .filter(({field}) => sortable[field])
+        .map(({field, order}) => ({locale, empty, type: sortable[field].type ?? 'auto', field, order}));
+    // без выбранной сортировки результаты нечёткого поиска идут по убыванию оценки
+    if (sortKeys.length === 0 && ranked) {
+        sortKeys.push({empty, type: 'number', field: 'score', order: 'down'});
+    }
+    result = sortCollectionByKeys(result, sortKeys);
+
+    const skip = Number.isFinite(limit) ? (page - 1) * limit : 0;
+    return {
+        total: result.length,
+        items: Number.isFinite(limit) ? result.slice(skip, skip + limit) : result,
+        facets
+    };
+}
@@ -0,0 +1,239 @@
+/**
+ * Построение разметки таблицы по описанию колонок
+ *
+ * Каждая функция возвращает объект того же вида, что и cloneTemplate():
+ * контейнер и именованные элементы (по атрибуту data-name), поэтому
+ * сгенерированные части таблицы и части из шаблонов взаимозаменяемы.
+ *
+ * Описание колонки:
+ * key — поле строки данных, label — подпись, type — тип значений,
+ * width — ширина в grid-разметке (по умолчанию 1fr), sortable — сортируемая ли колонка,
+ * filter — вид фильтра: 'text', 'select', 'combobox', 'multiSelect', 'range', 'dateRange' или отсутствует,
+ * formatter — функция (value, item) => string для вывода значения в ячейке,
+ * placeholder — подпись пустого варианта фильтра-списка,
+ * visible — функция (query) => boolean: выводится ли колонка при этом запросе (по умолчанию всегда).
+ */
+
+import {datePresets} from "./dates.js";
+
+/**
+ * Собирает элементы с атрибутом data-name внутри контейнера
+ *
+ * @param {HTMLElement} container
+ * @returns {{container: HTMLElement, elements: Object}}
+ */
+const withElements = (container) => ({
+    container,
+    elements: Array.from(container.querySelectorAll('[data-name]')).reduce((acc, el) => {
+        acc[el.dataset.name] = el;
+        return acc;
+    }, {})
+});
+
+/**
+ * Создаёт элемент с классом и атрибутами
+ *
+ * @param {string} tag
+ * @param {Object} [attributes] - атрибуты; className и textContent присваиваются как свойства
+ * @param {Node[]} [children]
+ * @returns {HTMLElement}
+ */
+const createElement = (tag, attributes = {}, children = []) => {
+    const el = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (name === 'className' || name === 'textContent') {
+            el[name] = value;
+        } else if (value !== undefined) {
+            el.setAttribute(name, value);
+        }
+    });
+    el.append(...children);
+    return el;
+};
+
+/**
+ * Имя элемента управления колонки: приставка и ключ колонки с заглавной буквы
+ * @param {string} prefix
+ * @param {string} key
+ * @returns {string}
+ */
+const controlName = (prefix, key) => `${prefix}${key[0].toUpperCase()}${key.slice(1)}`;
+
+/**
+ * Имя элемента фильтра колонки: date -> searchByDate
+ * @param {string} key
+ * @returns {string}
+ */
+export const filterName = (key) => controlName('searchBy', key);
+
+/**
+ * Имя кнопки сортировки колонки: date -> sortByDate
+ * @param {string} key
+ * @returns {string}
+ */
+export const sortName = (key) => controlName('sortBy', key);
+
+/**
+ * Колонки, которые выводятся при запросе: без visible или с visible(query) === true
+ *
+ * @param {Array<Object>} columns
+ * @param {Object} query - запрос к строкам, см. lib/query.js
+ * @returns {Array<Object>}
+ */
+export const getVisibleColumns = (columns, query) => columns.filter(column => column.visible?.(query) ?? true);
+
+/**
+ * Значение CSS-переменной --columns для grid-разметки строк
+ *
+ * @param {Array<{width?: string}>} columns
+ * @returns {string}
+ */
+export const getGridColumns = (columns) => columns.map(column => column.width ?? '1fr').join(' ');
+
+/**
+ * Строка заголовка: по ячейке на колонку, ячейка отмечена атрибутом data-column
+ *
+ * @param {Array<Object>} columns
+ * @returns {{container: HTMLElement, elements: Object}}
+ */
+export function createHeader(columns) {
+    return withElements(createElement('div', {className: 'table-row header-row', role: 'rowgroup'},
+        columns.map(({key, label}) => createElement('div', {
+            className: 'table-column',
+            role: 'columnheader',
+            'data-column': key,
+            textContent: label
+        }))
+    ));
+}
+
+/**
+ * Поля фильтра для каждого вида фильтра колонки
+ *
+ * Подробнее: имена полей формы совпадают с ключами строк данных,
+ * чтобы компаратор мог сравнить их напрямую; для диапазона
+ * создаются два поля: <key>From и <key>To. Поля числового диапазона
+ * отмечены data-type="number": их значения разбираются как числа. У диапазона дат есть ещё
+ * список быстрых диапазонов без имени: он не входит в состояние формы,
+ * а только заполняет оба поля (см. initFiltering). Поле ввода выпадающего списка с поиском
+ * ('combobox') тоже без имени: в форму попадают значения выбранных вариантов из скрытых полей.
+ */
+const filterControls = {
+    text: ({key, label}) => createElement('label', {className: 'filter-wrapper'}, [
+        createElement('input', {
+            type: 'text', value: '', className: 'input', placeholder: 'Search',
+            name: key, 'data-name': filterName(key)
+        }),
+        createElement('button', {
+            type: 'submit', name: 'clear', 'data-field': key, className: 'icon',
+            'aria-label': `Filter by ${label.toLowerCase()}`
+        })
+    ]),
+    select: ({key, label, placeholder = '—'}) => createElement('label', {className: 'dropdown-select'}, [
+        createElement('select', {
+            name: key, 'data-name': filterName(key), 'aria-label': `Filter by ${label.toLowerCase()}`
+        }, [
+            createElement('option', {value: '', selected: '', textContent: placeholder})
+        ])
+    ]),
+    // поле с подсказками: варианты в listbox и скрытые поля выбранных значений с name=key добавляет initFiltering
+    combobox: ({key, label, placeholder = 'Search'}) => createElement('div', {
+        className: 'filter-wrapper combobox', 'data-name': filterName(key), 'data-combobox': key,
+        'data-placeholder': placeholder
+    }, [
+        createElement('input', {
+            type: 'text', value: '', className: 'input', placeholder, autocomplete: 'off',
+            role: 'combobox', 'aria-autocomplete': 'list', 'aria-expanded': 'false',
+            'aria-controls': `${filterName(key)}Listbox`, 'aria-label': `Filter by ${label.toLowerCase()}`,
+            'data-name': `${filterName(key)}Input`
+        }),
+        createElement('span', {hidden: '', 'data-name': `${filterName(key)}Values`}),
+        createElement('button', {
+            type: 'submit', name: 'clear', 'data-field': key, className: 'icon',
+            'aria-label': `Clear ${label.toLowerCase()} filter`
+        }),
+        createElement('ul', {
+            className: 'combobox-list', role: 'listbox', 'aria-multiselectable': 'true', id: `${filterName(key)}Listbox`,
+            'data-name': `${filterName(key)}Listbox`, 'aria-label': label, hidden: ''
+        })
+    ]),
+    // выпадающий список флажков с поиском; флажки с name=key добавляет initFiltering по индексу значений
+    multiSelect: ({key, label, placeholder = '—'}) => createElement('details', {
+        className: 'multi-select', 'data-name': filterName(key), 'data-multiple': key,
+        'data-label': label, 'data-placeholder': placeholder
+    }, [
+        createElement('summary', {className: 'multi-select-summary', 'aria-label': `Filter by ${label.toLowerCase()}`}, [
+            createElement('span', {className: 'multi-select-text', 'data-name': `${filterName(key)}Text`, textContent: placeholder}),
+            createElement('span', {className: 'multi-select-count', 'data-name': `${filterName(key)}Count`, hidden: ''})
+        ]),
+        createElement('div', {className: 'multi-select-menu'}, [
+            createElement('input', {
+                type: 'search', className: 'input multi-select-search', placeholder: 'Search',
+                'data-name': `${filterName(key)}Search`, 'aria-label': `Search ${label.toLowerCase()} options`
+            }),
+            createElement('div', {
+                className: 'multi-select-options', role: 'group',
+                'data-name': `${filterName(key)}Options`, 'aria-label': label
+            })
+        ])
+    ]),
+    range: ({key, label}) => createElement('div', {className: 'range-inputs'}, [
+        createElement('input', {
+            type: 'text', inputmode: 'decimal', className: 'input', placeholder: 'from', name: `${key}From`,
+            'data-name': `${key}From`, 'data-type': 'number', 'aria-label': `${label} from`
+        }),
+        createElement('input', {
+            type: 'text', inputmode: 'decimal', className: 'input', placeholder: 'to', name: `${key}To`,
+            'data-name': `${key}To`, 'data-type': 'number', 'aria-label': `${label} to`
+        })
+    ]),
+    dateRange: ({key, label}) => createElement('div', {className: 'range-inputs date-range'}, [
+        createElement('input', {
+            type: 'date', className: 'input', name: `${key}From`,
+            'data-name': `${key}From`, 'aria-label': `${label} from`
+        }),
+        createElement('input', {
+            type: 'date', className: 'input', name: `${key}To`,
+            'data-name': `${key}To`, 'aria-label': `${label} to`
+        }),
+        createElement('label', {className: 'dropdown-select'}, [
+            createElement('select', {
+                'data-name': `${key}Preset`, 'data-range': key, 'aria-label': `${label} presets`
+            }, [
+                createElement('option', {value: '', selected: '', textContent: 'Quick range'}),
+                ...Object.entries(datePresets).map(([value, preset]) => createElement('option', {value, textContent: preset.label}))
+            ])
+        ])
+    ])
+};
+
+/**
+ * Строка фильтров: для колонок без фильтра выводится пустая ячейка; ячейки отмечены атрибутом data-column
+ *
+ * @param {Array<Object>} columns
+ * @param {Array<Object>} [filters] - фильтры без своей колонки; выводятся после фильтров колонок
+ * @returns {{container: HTMLElement, elements: Object}}
+ */
+export function createFilterRow(columns, filters = []) {
+    return withElements(createElement('div', {
+        className: 'table-row filter-row', 'data-name': 'filter', role: 'rowgroup'
+    }, [...columns, ...filters].map(column => createElement('div', {className: 'table-column', 'data-column': column.key},
+        filterControls[column.filter] ? [filterControls[column.filter](column)] : []
+    ))));
+}
+
+/**
+ * Фабрика строк таблицы: ячейка на колонку с data-name и data-column, равными ключу колонки
+ *
+ * @param {Array<Object>} columns
+ * @returns {() => {container: HTMLElement, elements: Object}}
+ *
+ * Подробнее: разметка строки собирается один раз, а каждая новая строка —
+ * это её глубокая копия, как и при клонировании шаблона.
+ */
+export function createRowFactory(columns) {
+    const prototype = createElement('div', {className: 'table-row', role: 'row'},
+        columns.map(({key}) => createElement('div', {className: 'table-column', 'data-name': key, 'data-column': key, role: 'cell'}))
+    );
+    return () => withElements(prototype.cloneNode(true));
+}
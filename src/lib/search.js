@@ -0,0 +1,358 @@
+/**
+ * Язык запросов строки поиска
+ *
+ * Запрос — слова и фразы в кавычках, условия по полям и их сочетания:
+ *   seller:petrov total:>1000 date:2023-12 -customer:ivanov "exact phrase"
+ * Условия через пробел объединяются по И, OR объединяет по ИЛИ (И связывает сильнее),
+ * минус или NOT перед условием его исключает, скобки группируют условия:
+ *   (seller:petrov OR seller:ivanov) -category:tools
+ *
+ * Условие без поля ищет подстроку в полях поиска (searchFields), как прежний поиск.
+ * Условие по полю зависит от типа колонки:
+ *   строки — подстрока без учёта регистра, "=" — точное совпадение: seller:="Ivan Petrov";
+ *   числа и суммы — total:1000, total:>1000, total:<=50, total:100..500, total:100..;
+ *   даты — день, месяц или год (date:2023-12) с теми же операторами и диапазонами.
+ *
+ * parseSearch() разбирает запрос и проверяет поля и значения, compileSearch() собирает
+ * из разобранного запроса функцию оценки строк на правилах compare.js; в нечётком режиме
+ * текстовые условия находят и слова с опечатками, а оценка показывает качество совпадения.
+ */
+
+import {createComparison, rules} from "./compare.js";
+import {parseLocaleNumber} from "./utils.js";
+import {fuzzyScore} from "./fuzzy.js";
+
+// Год, месяц или день: 2023, 2023-12, 2023-12-04
+const datePattern = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+// Ошибка разбора с позицией в строке запроса; наружу отдаётся как {error}, а не исключением
+const fail = (message, position) => {
+    throw Object.assign(new SyntaxError(message), {position});
+};
+
+/**
+ * Разбивает запрос на скобки, операторы и условия [поле:]значение
+ *
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const position = i;
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({type: char, position});
+            i++;
+        } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+            tokens.push({type: 'not', position});
+            i++;
+        } else {
+            const field = text.slice(i).match(/^([a-z_]\w*):/i);
+            if (field) {
+                i += field[0].length;
+            }
+
+            // оператор перед фразой в кавычках: seller:="Ivan Petrov"
+            const prefix = field ? text.slice(i).match(/^(>=|<=|>|<|=)(?=")/)?.[1] ?? '' : '';
+            i += prefix.length;
+
+            let value;
+            const quoted = text[i] === '"';
+            if (quoted) {
+                const end = text.indexOf('"', i + 1);
+                if (end === -1) {
+                    fail('Missing closing quote', i);
+                }
+                value = prefix + text.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                value = text.slice(i).match(/^[^\s()"]*/)[0];
+                i += value.length;
+            }
+
+            if (field && !quoted && value === '') {
+                fail(`Missing value after "${field[0]}"`, position);
+            }
+            if (!field && !quoted && ['OR', 'AND', 'NOT'].includes(value)) {
+                tokens.push({type: value.toLowerCase(), position});
+            } else {
+                tokens.push({type: 'term', field: field?.[1], value, quoted, position});
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Начало и конец периода даты: 2023-12 -> ['2023-12-01', '2023-12-31']
+ *
+ * @param {string} value
+ * @param {string} field - для сообщения об ошибке
+ * @param {number} position
+ * @returns {[string, string]}
+ */
+function parseDatePeriod(value, field, position) {
+    const match = value.match(datePattern);
+    const [, year, month, day] = match ?? [];
+    const lastDay = month && new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    if (!match || (month && (month < 1 || month > 12)) || (day && (day < 1 || day > lastDay))) {
+        fail(`"${field}" expects a date like 2023, 2023-12 or 2023-12-04, got "${value}"`, position);
+    }
+    if (day) {
+        return [value, value];
+    }
+    return month
+        ? [`${year}-${month}-01`, `${year}-${month}-${lastDay}`]
+        : [`${year}-01-01`, `${year}-12-31`];
+}
+
+/**
+ * Условие по числовому полю или дате: значение, сравнение с границей или диапазон
+ *
+ * @param {Object} token
+ * @param {string} field
+ * @param {string} type
+ * @returns {Object}
+ *
+ * Подробнее: значения дат сразу заменяются границами периода, поэтому date:2023-12 — это
+ * диапазон за весь декабрь, date:>2023-12 — позже декабря, а date:<=2023-12 — по конец декабря.
+ */
+function parseBounds(token, field, type) {
+    const {value, position} = token;
+    const parse = type === 'date'
+        ? (text) => parseDatePeriod(text, field, position)
+        : (text) => {
+            const number = parseLocaleNumber(text);
+            if (isNaN(number)) {
+                fail(`"${field}" expects a number, got "${text}"`, position);
+            }
+            return [number, number];
+        };
+
+    const range = value.match(/^(.*?)\.\.(.*)$/);
+    if (range) {
+        const [, from, to] = range;
+        if (from === '' && to === '') {
+            fail(`"${field}" range needs at least one bound`, position);
+        }
+        return {kind: 'range', field, value: [from === '' ? '' : parse(from)[0], to === '' ? '' : parse(to)[1]]};
+    }
+
+    const [, operator = '=', bound] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+    if (bound === '') {
+        fail(`Missing value after "${field}:${operator}"`, position);
+    }
+    const [start, end] = parse(bound);
+    if (type === 'date') {
+        // сравнение с периодом: «позже» и «не позже» — относительно его конца, остальное — начала
+        return operator === '='
+            ? {kind: 'range', field, value: [start, end]}
+            : {kind: 'compare', field, operator, value: ['>', '<='].includes(operator) ? end : start};
+    }
+    return operator === '='
+        ? {kind: 'equal', field, value: start}
+        : {kind: 'compare', field, operator, value: start};
+}
+
+/**
+ * Условие из токена: поиск по полям поиска или по указанному полю
+ *
+ * @param {Object} token
+ * @param {Object<string, string>} types - типы полей по ключам
+ * @returns {Object}
+ */
+function parseTerm(token, types) {
+    if (!token.field) {
+        return {type: 'term', kind: 'search', value: token.value};
+    }
+    const field = token.field.toLowerCase();
+    const type = types[field];
+    if (!type) {
+        fail(`Unknown field "${token.field}", expected one of: ${Object.keys(types).join(', ')}`, token.position);
+    }
+    if (['number', 'currency', 'date'].includes(type)) {
+        return {type: 'term', ...parseBounds(token, field, type)};
+    }
+    const exact = token.value.startsWith('=');
+    return {type: 'term', kind: exact ? 'exact' : 'text', field, value: exact ? token.value.slice(1) : token.value};
+}
+
+/**
+ * Разбирает запрос строки поиска
+ *
+ * @param {string} text - строка поиска
+ * @param {Object} options
+ * @param {Array<Object>} options.columns - описание колонок: ключи и типы полей для условий field:value;
+ * колонки с searchable: false в условиях не допускаются
+ * @param {Array<Object>} [options.filters] - поля без своей колонки, например product и category
+ * @returns {{query: Object | null} | {error: {message: string, position: number}}}
+ *
+ * Подробнее: query — дерево условий {type: 'and' | 'or', items}, {type: 'not', item}
+ * и {type: 'term', kind, field, value}; для пустой строки query равен null.
+ * Ошибка описывает первую найденную проблему и её позицию в строке с нуля:
+ * неизвестное поле, значение не того типа, незакрытые кавычки или скобки.
+ */
+export function parseSearch(text, {columns, filters = []}) {
+    const types = Object.fromEntries([...columns, ...filters]
+        .filter(column => column.searchable !== false)
+        .map(column => [column.key.toLowerCase(), column.type ?? 'string']));
+
+    const source = String(text ?? '');
+    try {
+        const tokens = tokenize(source);
+        let index = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+
+        const parseOr = () => {
+            const items = [parseAnd()];
+            while (peek()?.type === 'or') {
+                const operator = next();
+                if (!peek() || ['or', ')'].includes(peek().type)) {
+                    fail('Expected a search term after OR', operator.position);
+                }
+                items.push(parseAnd());
+            }
+            return items.length === 1 ? items[0] : {type: 'or', items};
+        };
+
+        const parseAnd = () => {
+            const items = [];
+            while (peek() && !['or', ')'].includes(peek().type)) {
+                if (peek().type === 'and') {
+                    const operator = next();
+                    if (items.length === 0 || !peek() || ['or', 'and', ')'].includes(peek().type)) {
+                        fail('AND needs a search term on both sides', operator.position);
+                    }
+                    continue;
+                }
+                items.push(parseUnary());
+            }
+            if (items.length === 0) {
+                fail(peek()?.type === 'or' ? 'Expected a search term before OR' : 'Expected a search term', peek()?.position ?? source.length);
+            }
+            return items.length === 1 ? items[0] : {type: 'and', items};
+        };
+
+        const parseUnary = () => {
+            if (peek().type === 'not') {
+                const operator = next();
+                if (!peek() || ['or', 'and', ')'].includes(peek().type)) {
+                    fail('Nothing to exclude after "-" or NOT', operator.position);
+                }
+                return {type: 'not', item: parseUnary()};
+            }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (token.type === '(') {
+                const group = parseOr();
+                if (peek()?.type !== ')') {
+                    fail('Missing closing parenthesis', token.position);
+                }
+                next();
+                return group;
+            }
+            return parseTerm(token, types);
+        };
+
+        if (tokens.length === 0) {
+            return {query: null};
+        }
+        const query = parseOr();
+        if (peek()) {
+            fail(`Unexpected "${peek().type}"`, peek().position);
+        }
+        return {query};
+    } catch (e) {
+        if (e instanceof SyntaxError) {
+            return {error: {message: e.message, position: e.position}};
+        }
+        throw e;
+    }
+}
+
+/**
+ * Собирает из разобранного запроса функцию оценки строк
+ *
+ * @param {Object | null} query - результат parseSearch()
+ * @param {Object} options
+ * @param {string[]} options.searchFields - поля, в которых ищут условия без поля
+ * @param {boolean} [options.fuzzy=false] - нечёткий поиск: слова ищутся с опечатками, см. lib/fuzzy.js
+ * @returns {(row: Object) => number} - 0, если строка не подходит, иначе оценка совпадения до 1
+ *
+ * Подробнее: каждое условие превращается в сравнение createComparison() с подходящими
+ * правилами compare.js — подстрока, точное совпадение, граница или диапазон, —
+ * а И, ИЛИ и исключение объединяют результаты сравнений. Поле-список (например,
+ * товары чека) подходит, если условию подходит хотя бы один его элемент.
+ * Без нечёткого поиска подходящая строка получает оценку 1. В нечётком режиме
+ * текстовые условия без поля и по полям поиска оцениваются fuzzyScore() по лучшему
+ * из полей, а условия по остальным строковым полям (товар, категория) сравниваются как обычно; оценки условий, объединённых по И, перемножаются, по ИЛИ — берётся лучшая,
+ * а исключение не влияет на оценку подходящей строки.
+ */
+export function compileSearch(query, {searchFields, fuzzy = false}) {
+    // сравнение каждого значения поля (или элемента поля-списка) с целевым значением
+    const matchField = (ruleNames, field, value) => {
+        const compare = createComparison(['failOnEmptySource', ...ruleNames]);
+        return (row) => [].concat(row[field] ?? []).some(item => compare({[field]: item}, {[field]: value})) ? 1 : 0;
+    };
+
+    // лучшая нечёткая оценка по значениям полей строки
+    const scoreFields = (fields, value) => (row) => Math.max(0, ...fields
+        .flatMap(field => [].concat(row[field] ?? []))
+        .filter(item => item !== null && item !== '')
+        .map(item => fuzzyScore(value, item)));
+
+    const compileTerm = ({kind, field, operator, value}) => {
+        switch (kind) {
+            case 'search': {
+                if (fuzzy) {
+                    return scoreFields(searchFields, value);
+                }
+                const compare = createComparison([rules.searchMultipleFields('search', searchFields, false)]);
+                return (row) => compare(row, {search: value}) ? 1 : 0;
+            }
+            case 'text':
+                // опечатки допускаются только в полях поиска — именах и датах, но не в товарах и категориях
+                return fuzzy && searchFields.includes(field)
+                    ? scoreFields([field], value)
+                    : matchField(['caseInsensitiveStringIncludes', 'exactEquality'], field, value);
+            case 'exact':
+                return matchField(['caseInsensitiveExactMatch', 'exactEquality'], field, value);
+            case 'equal':
+                return matchField([rules.numericTolerance(0.005)], field, value);
+            case 'range':
+                return matchField(['arrayAsRange'], field, value);
+            case 'compare':
+                return matchField([rules.operatorComparison(operator)], field, value);
+        }
+    };
+
+    const compileNode = (node) => {
+        switch (node.type) {
+            case 'and': {
+                const items = node.items.map(compileNode);
+                return (row) => items.reduce((score, item) => score > 0 ? score * item(row) : 0, 1);
+            }
+            case 'or': {
+                const items = node.items.map(compileNode);
+                return (row) => Math.max(...items.map(item => item(row)));
+            }
+            case 'not': {
+                const item = compileNode(node.item);
+                return (row) => item(row) > 0 ? 0 : 1;
+            }
+            default:
+                return compileTerm(node);
+        }
+    };
+
+    return query ? compileNode(query) : () => 1;
+}
@@ -1,41 +1,37 @@
+import {createComparator, detectType} from "./comparators.js";
+
 /**
  * Функция сортировки по возрастанию для указанного поля объекта
  *
  * @param {string} field - Имя поля, по которому производится сортировка
+ * @param {Object} [options] - Настройки сравнения значений (тип, локаль, пустые значения), см. createComparator
  * @returns {Function} - Функция сравнения для метода sort
  *
  * Подробнее: Эта функция высшего порядка создает компаратор для сортировки
  * массива объектов по возрастанию. Функция возвращает другую функцию,
  * что позволяет переиспользовать логику сортировки с разными полями.
+ * Само сравнение значений делегируется компаратору нужного типа,
+ * поэтому числа в строках, даты и суммы упорядочиваются по значению, а не лексически.
  */
-const sortUp = field => (a, b) => {
-    if (a[field] > b[field]) {
-        return 1;  // Значение в a больше, чем в b, перемещаем a вправо
-    }
-    if (a[field] < b[field]) {
-        return -1; // Значение в a меньше, чем в b, перемещаем a влево
-    }
-    return 0;      // Значения равны, сохраняем текущий порядок
+const sortUp = (field, options) => {
+    const compare = createComparator(options);
+    return (a, b) => compare(a[field], b[field], 1);
 }
 
 /**
  * Функция сортировки по убыванию для указанного поля объекта
  *
  * @param {string} field - Имя поля, по которому производится сортировка
+ * @param {Object} [options] - Настройки сравнения значений, см. createComparator
  * @returns {Function} - Функция сравнения для метода sort
  *
- * Подробнее: Работает аналогично sortUp, но возвращает противоположные
- * значения, чтобы сортировать элементы в обратном порядке (по убыванию).
- * Логика инвертирована по сравнению с сортировкой по возрастанию.
+ * Подробнее: Работает аналогично sortUp, но инвертирует результат сравнения
+ * непустых значений, чтобы сортировать элементы в обратном порядке (по убыванию).
+ * Пустые значения остаются в начале или в конце — так, как указано в настройках.
  */
-const sortDown = field => (a, b) => {
-    if (a[field] < b[field]) {
-        return 1;  // Значение в a меньше, чем в b, перемещаем a вправо
-    }
-    if (a[field] > b[field]) {
-        return -1; // Значение в a больше, чем в b, перемещаем a влево
-    }
-    return 0;      // Значения равны, сохраняем текущий порядок
+const sortDown = (field, options) => {
+    const compare = createComparator(options);
+    return (a, b) => compare(a[field], b[field], -1);
 }
 
 /**
@@ -64,12 +60,28 @@ export const sortMap = {
     'down': 'none'   // Из "по убыванию" переходим в "без сортировки"
 }
 
+/**
+ * Дополняет настройки сравнения типом, определённым по значениям поля
+ *
+ * @param {Array} arr - Сортируемый массив
+ * @param {string} field - Поле сортировки
+ * @param {Object} options - Настройки сравнения
+ * @returns {Object} - Настройки с заполненным типом
+ */
+const resolveOptions = (arr, field, options) => ({
+    ...options,
+    type: options.type && options.type !== 'auto'
+        ? options.type
+        : detectType(arr.map(item => item[field]))
+});
+
 /**
  * Функция для сортировки массива объектов по указанному полю и направлению
  *
  * @param {Array} arr - Исходный массив объектов для сортировки
  * @param {string | null} field - Поле объекта, по которому производится сортировка
  * @param {string | null} order - Направление сортировки: 'none', 'up' или 'down'
+ * @param {Object} [options] - Настройки сравнения значений, см. createComparator
  * @returns {Array} - Отсортированный массив или исходный массив, если сортировка не требуется
  *
  * Подробнее: Эта функция использует метод toSorted(), который создает новый массив
@@ -80,10 +92,46 @@ export const sortMap = {
  * Функция проверяет наличие поля для сортировки, валидность направления
  * и применяет соответствующую функцию сортировки только при необходимости.
  * Это оптимизирует работу, предотвращая ненужные операции.
+ *
+ * Необязательный параметр options передаёт настройки сравнения (type, locale,
+ * numeric, empty). Если тип не указан, он определяется по значениям поля.
  */
-export function sortCollection(arr, field, order) {
+export function sortCollection(arr, field, order, options = {}) {
     if (field && order !== 'none' && sortMap[order])
-        return arr.toSorted(sortFn[order](field));
+        return arr.toSorted(sortFn[order](field, resolveOptions(arr, field, options)));
     else
         return arr;  // Возвращаем исходный массив без изменений, если сортировка не нужна
-}
\ No newline at end of file
+}
+
+/**
+ * Функция для сортировки массива объектов сразу по нескольким полям
+ *
+ * @param {Array} arr - Исходный массив объектов для сортировки
+ * @param {Array<{field: string, order: string, type?: string, locale?: string, empty?: string}>} keys - Упорядоченный список ключей сортировки
+ * @returns {Array} - Отсортированный массив или исходный массив, если сортировка не требуется
+ *
+ * Подробнее: ключи применяются по приоритету — первый ключ в списке главный,
+ * следующий учитывается только для элементов, равных по всем предыдущим.
+ * Так получаются представления вида «по дате по убыванию, затем по сумме».
+ * Ключи с направлением 'none' или неизвестным направлением пропускаются.
+ * Остальные поля ключа — настройки сравнения, как в sortCollection.
+ */
+export function sortCollectionByKeys(arr, keys) {
+    const comparators = keys
+        .filter(({field, order}) => field && order !== 'none' && sortMap[order])
+        .map(({field, order, ...options}) => sortFn[order](field, resolveOptions(arr, field, options)));
+
+    if (comparators.length === 0) {
+        return arr;  // Нет ни одного активного ключа — сортировка не нужна
+    }
+
+    return arr.toSorted((a, b) => {
+        for (const comparator of comparators) {
+            const result = comparator(a, b);
+            if (result !== 0) {
+                return result;  // Первый ключ, различающий элементы, определяет порядок
+            }
+        }
+        return 0;
+    });
+}
@@ -31,7 +31,7 @@ export function cloneTemplate(templateId) {
 }
 
 /**
- * Преобразует объект FormData в обычный JavaScript-объект (только одиночные значения)
+ * Преобразует объект FormData в обычный JavaScript-объект
  *
  * @param {FormData} formData - Объект FormData для преобразования
  * @returns {Object} - Обычный объект со значениями формы
@@ -39,14 +39,19 @@ export function cloneTemplate(templateId) {
  * Подробнее: FormData — это специальный интерфейс для работы с данными форм,
  * но часто удобнее работать с обычными JavaScript-объектами. Эта функция
  * преобразует FormData в простой объект, где ключи соответствуют именам полей формы,
- * а значения - введенным данным. Обратите внимание, что эта функция обрабатывает
- * только одиночные значения и не поддерживает множественные значения для одного ключа
- * (как в случае с multiple select или checkbox).
+ * а значения - введенным данным. Если под одним именем в форме несколько значений
+ * (отмеченные флажки с одинаковым name или select с атрибутом multiple),
+ * значением ключа становится массив; одиночное значение остаётся строкой.
  */
 export function processFormData(formData) {
     // Преобразуем entries() в массив пар [ключ, значение] и создаем объект
     return Array.from(formData.entries()).reduce((result, [key, value]) => {
-        result[key] = value;
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+            // Повторное имя: собираем значения в массив
+            result[key] = [].concat(result[key], value);
+        } else {
+            result[key] = value;
+        }
         return result;
     }, {});
 }
@@ -111,4 +116,111 @@ export function getPages(currentPage, maxPage, limit) {
     }
 
     return pages;
-}
\ No newline at end of file
+}
+
+/**
+ * Преобразует строку с числом в локализованной записи в число
+ *
+ * @param {string | number} value - Значение для разбора, например "1 000", "1,5" или "$4,657.56"
+ * @param {string | string[]} [locale='en-US'] - Локаль, по которой читается запись вроде "1.000" или "1,000"
+ * @returns {number} - Разобранное число или NaN, если строка не является числом
+ *
+ * Подробнее: пользователи и выгрузки из разных систем записывают числа по-разному:
+ * пробел, апостроф, точка или запятая как разделитель разрядов, запятая или точка
+ * как десятичный разделитель, символ валюты до или после числа. Разделитель разрядов
+ * допускается только между группами ровно из трёх цифр и везде один и тот же,
+ * десятичный разделитель — не больше одного и отличается от разделителя разрядов.
+ * Поэтому "1 000,5", "1,000.5" и "1.000.000" разбираются, а "1,2,3", "1..2" и "1 2 3" — нет.
+ * Запись с единственным разделителем перед тремя цифрами ("1.000", "1,000") читается по локали:
+ * десятичный разделитель локали делает её дробью, иначе это разделитель разрядов.
+ */
+export function parseLocaleNumber(value, locale = 'en-US') {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value !== 'string') {
+        return NaN;
+    }
+
+    // Отделяем знак (в том числе типографский минус) и символы валют по краям
+    let text = value.trim().replace(/^\p{Sc}+\s*|\s*\p{Sc}+$/gu, '');
+    const sign = /^[+\-\u2212]/.test(text) ? text[0] : '';
+    text = text.slice(sign.length).replace(/^\p{Sc}+\s*/u, '');
+
+    // целая часть — цифры подряд или группы по три цифры через один и тот же разделитель
+    const match = text.match(/^(?:([1-9]\d{0,2}(?:([\s'.,])\d{3})(?:\2\d{3})*)|(\d*))(?:([.,])(\d+))?$/u);
+    if (!match || text === '') {
+        return NaN;
+    }
+    const [, grouped, groupSeparator, plain, decimalSeparator, fraction] = match;
+    if (groupSeparator && groupSeparator === decimalSeparator) {
+        return NaN;
+    }
+
+    let number;
+    if (groupSeparator && !decimalSeparator && /^\d{1,3}[.,]\d{3}$/.test(grouped)
+        && groupSeparator === getDecimalSeparator(locale)) {
+        // "1.000" в локали с десятичной точкой — это единица
+        number = Number(grouped.replace(groupSeparator, '.'));
+    } else {
+        const integer = groupSeparator ? grouped.split(groupSeparator).join('') : plain;
+        number = Number(`${integer || '0'}.${fraction ?? '0'}`);
+    }
+
+    return sign === '-' || sign === '\u2212' ? -number : number;
+}
+
+// Десятичные разделители локалей: Intl.NumberFormat создаётся один раз на локаль
+const decimalSeparators = new Map();
+
+function getDecimalSeparator(locale) {
+    const key = String(locale);
+    if (!decimalSeparators.has(key)) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+        decimalSeparators.set(key, parts.find(part => part.type === 'decimal')?.value ?? '.');
+    }
+    return decimalSeparators.get(key);
+}
+
+/**
+ * Вызывает обработчик с файлами, выбранными в поле <input type="file">
+ *
+ * @param {HTMLInputElement} input - поле выбора файлов внутри формы таблицы
+ * @param {(files: File[]) => void} onSelect - вызывается, если выбран хотя бы один файл
+ *
+ * Подробнее: выбор файла — не изменение состояния таблицы, поэтому событие change
+ * не всплывает до формы и перерисовку не вызывает. Значение поля сбрасывается,
+ * чтобы повторный выбор того же файла снова вызвал событие.
+ */
+export function onFileSelect(input, onSelect) {
+    input.addEventListener('change', (e) => {
+        e.stopPropagation();
+        const files = Array.from(input.files);
+        input.value = '';
+        if (files.length > 0) {
+            onSelect(files);
+        }
+    });
+}
+
+/**
+ * Предлагает браузеру сохранить данные как файл
+ *
+ * @param {Blob} blob - Содержимое файла
+ * @param {string} fileName - Имя файла
+ *
+ * Подробнее: для Blob создаётся временный адрес (blob:...), на который ведёт
+ * ссылка с атрибутом download; программный клик по ней запускает загрузку.
+ * Адрес освобождается после того, как браузер начал загрузку, иначе
+ * содержимое файла остаётся в памяти до закрытия страницы.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url));
+}
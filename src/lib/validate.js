@@ -0,0 +1,176 @@
+/**
+ * Проверка исходного набора данных перед подготовкой строк таблицы
+ *
+ * Проверяются обязательные поля и их типы, формат дат, ссылки чеков
+ * на продавцов, покупателей и товары, а также совпадение суммы чека
+ * с суммой его позиций за вычетом скидок. Проверка ничего не исправляет
+ * и не отбрасывает: она возвращает отчёт, а initData() выводит строки как есть.
+ */
+
+import {collections, itemFields} from "./import.js";
+import {isEmpty} from "./compare.js";
+import {isIsoDate} from "./dates.js";
+
+// допустимое расхождение суммы чека в копейках: позиции округляются до копеек по отдельности.
+// Суммы сравниваются в целых копейках, иначе ошибка округления дробей превращает расхождение
+// ровно в копейку в 0.0100000000002
+const totalTolerance = 1;
+
+/**
+ * Проверки значений по типу поля: возвращают true, если значение подходит
+ *
+ * Подробнее: в отличие от импорта, где значения приходят строками и приводятся
+ * к типам, здесь проверяются уже готовые объекты, поэтому "12" — не число.
+ */
+const isValid = {
+    string: (value) => typeof value === 'string' && value.trim() !== '',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    date: isIsoDate
+};
+
+/**
+ * Названия проверок для вывода отчёта
+ */
+export const checkLabels = {
+    required: 'Missing required field',
+    type: 'Wrong field type',
+    date: 'Invalid date',
+    seller: 'Unknown seller',
+    customer: 'Unknown customer',
+    sku: 'Unknown product',
+    total: 'Total does not match items'
+};
+
+/**
+ * Проверяет поля записи по описанию полей коллекции
+ *
+ * @param {Object} record
+ * @param {Object<string, string>} fields - описание полей, см. collections в import.js
+ * @param {string} prefix - уточнение места поля в сообщении, например "item 2: "
+ * @param {(check: string, message: string) => void} report
+ * @returns {boolean} - true, если все поля в порядке
+ */
+function checkFields(record, fields, prefix, report) {
+    let ok = true;
+    Object.entries(fields).forEach(([name, spec]) => {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = record?.[name];
+
+        if (isEmpty(value)) {
+            if (!optional) {
+                report('required', `${prefix}${name} is missing`);
+                ok = false;
+            }
+        } else if (!isValid[type](value)) {
+            report(type === 'date' ? 'date' : 'type', `${prefix}${name} ${JSON.stringify(value)} is not a valid ${type}`);
+            ok = false;
+        }
+    });
+    return ok;
+}
+
+/**
+ * Проверяет исходные данные: sellers, customers, products, purchase_records
+ *
+ * @param {Object} source - исходные данные в формате dataset_N.js
+ * @returns {{
+ *     valid: boolean,
+ *     counts: {records: Object<string, number>, issues: number, invalidReceipts: number, checks: Object<string, number>},
+ *     receipts: Object<string, string[]>,
+ *     issues: Array<{collection: string, id: string, check: string, message: string}>
+ * }}
+ *
+ * Подробнее: issues — все найденные проблемы с коллекцией и идентификатором записи
+ * (для записи без идентификатора — её номер в коллекции); receipts — идентификаторы
+ * чеков с проблемами по каждой проверке; counts.checks — число проблем по проверкам.
+ * Ссылки на справочники проверяются, только если сам справочник есть в наборе.
+ */
+export function validateSource(source) {
+    const issues = [];
+    const records = {};
+
+    const lists = Object.fromEntries(Object.keys(collections).map(key => {
+        const list = source?.[key];
+        if (!Array.isArray(list)) {
+            issues.push({collection: key, id: '', check: 'required', message: `${key} is missing or not an array`});
+        }
+        records[key] = Array.isArray(list) ? list.length : 0;
+        return [key, Array.isArray(list) ? list : []];
+    }));
+
+    // записи справочников
+    ['sellers', 'customers', 'products'].forEach(key => {
+        const idField = key === 'products' ? 'sku' : 'id';
+        lists[key].forEach((record, index) => {
+            const id = record?.[idField] ?? `#${index + 1}`;
+            checkFields(record, collections[key].fields, '', (check, message) =>
+                issues.push({collection: key, id: String(id), check, message}));
+        });
+    });
+
+    const has = (key) => Array.isArray(source?.[key]);
+    const ids = (key, field) => new Set(lists[key].map(record => record?.[field]));
+    const sellerIds = ids('sellers', 'id');
+    const customerIds = ids('customers', 'id');
+    const skus = ids('products', 'sku');
+
+    // чеки: поля, ссылки, позиции и сумма
+    lists.purchase_records.forEach((record, index) => {
+        const id = String(record?.receipt_id ?? `#${index + 1}`);
+        const report = (check, message) => issues.push({collection: 'purchase_records', id, check, message});
+
+        const fieldsOk = checkFields(record, collections.purchase_records.fields, '', report);
+        if (!isEmpty(record?.seller_id) && has('sellers') && !sellerIds.has(record.seller_id)) {
+            report('seller', `seller_id "${record.seller_id}" not found in sellers`);
+        }
+        if (!isEmpty(record?.customer_id) && has('customers') && !customerIds.has(record.customer_id)) {
+            report('customer', `customer_id "${record.customer_id}" not found in customers`);
+        }
+
+        const items = record?.items;
+        if (!Array.isArray(items) || items.length === 0) {
+            report('required', 'receipt has no items');
+            return;
+        }
+
+        let itemsOk = true;
+        items.forEach((item, itemIndex) => {
+            const prefix = `item ${itemIndex + 1}: `;
+            itemsOk = checkFields(item, itemFields, prefix, report) && itemsOk;
+            if (!isEmpty(item?.sku) && has('products') && !skus.has(item.sku)) {
+                report('sku', `${prefix}sku "${item.sku}" not found in products`);
+            }
+        });
+
+        // сумма сверяется, только если все числа на месте
+        if (fieldsOk && itemsOk) {
+            const expected = items.reduce((sum, {sale_price, quantity, discount = 0}) =>
+                sum + Math.round(sale_price * quantity * (1 - discount / 100) * 100), 0);
+            if (Math.abs(expected - Math.round(record.total_amount * 100)) > totalTolerance) {
+                report('total', `total_amount ${record.total_amount} differs from items total ${(expected / 100).toFixed(2)}`);
+            }
+        }
+    });
+
+    const receipts = {};
+    const checks = {};
+    issues.forEach(({collection, id, check}) => {
+        checks[check] = (checks[check] ?? 0) + 1;
+        if (collection === 'purchase_records') {
+            (receipts[check] ??= new Set()).add(id);
+        }
+    });
+
+    return {
+        valid: issues.length === 0,
+        counts: {
+            records,
+            issues: issues.length,
+            invalidReceipts: new Set(Object.values(receipts).flatMap(set => [...set])).size,
+            checks
+        },
+        receipts: Object.fromEntries(Object.entries(receipts).map(([check, set]) => [check, [...set]])),
+        issues
+    };
+}
@@ -0,0 +1,119 @@
+/**
+ * Виртуальная прокрутка списка строк
+ *
+ * Вместо того чтобы создавать DOM-узел для каждой строки данных, выводится
+ * только видимое окно строк плюс небольшой запас сверху и снизу. Высота
+ * полосы прокрутки задаётся пустым элементом-распоркой, а окно строк сдвигается
+ * внутри неё при прокрутке. Узлы строк не пересоздаются, а переиспользуются:
+ * при прокрутке в них записываются данные других строк.
+ */
+
+// Высота строки по умолчанию, если её не удалось измерить (например, контейнер ещё не в документе)
+const fallbackRowHeight = 77;
+
+/**
+ * Создаёт виртуальный список внутри контейнера прокрутки
+ *
+ * @param {HTMLElement} viewport - Контейнер строк; в виртуальном режиме он становится прокручиваемым
+ * @param {Object} options
+ * @param {() => {container: HTMLElement, elements: Object}} options.createRow - Фабрика пустой строки
+ * @param {(row: {container: HTMLElement, elements: Object}, item: Object) => void} options.fillRow - Запись данных в строку
+ * @param {number} [options.rowHeight] - Высота строки в пикселях; если не задана, измеряется по первой строке
+ * @param {number} [options.buffer=10] - Сколько строк выводить сверх видимых сверху и снизу
+ * @param {string} [options.height='70vh'] - Высота области прокрутки (любое значение CSS)
+ * @returns {{render: (data: Object[]) => void, reset: () => void, isActive: () => boolean}}
+ *
+ * Подробнее: все строки в виртуальном режиме имеют одинаковую высоту —
+ * только так можно по положению прокрутки вычислить номер первой видимой строки
+ * без измерения каждой из них.
+ */
+export function createVirtualList(viewport, {createRow, fillRow, rowHeight, buffer = 10, height = '70vh'}) {
+    const spacer = document.createElement('div');
+    spacer.className = 'virtual-spacer';
+    const windowEl = document.createElement('div');
+    windowEl.className = 'virtual-window';
+    spacer.append(windowEl);
+
+    const pool = [];  // переиспользуемые строки окна
+    let data = [];
+    let active = false;
+    let frame = null;
+
+    const measure = () => {
+        if (!rowHeight) {
+            const probe = createRow();
+            windowEl.append(probe.container);
+            rowHeight = probe.container.offsetHeight || fallbackRowHeight;
+            probe.container.remove();
+        }
+        viewport.style.setProperty('--row-height', `${rowHeight}px`);
+    };
+
+    // вывести строки, попадающие в видимую область
+    const update = () => {
+        frame = null;
+        const visibleCount = Math.ceil((viewport.clientHeight || window.innerHeight) / rowHeight);
+        const first = Math.max(0, Math.floor(viewport.scrollTop / rowHeight) - buffer);
+        const last = Math.min(data.length, first + visibleCount + buffer * 2);
+        const count = Math.max(0, last - first);
+
+        // нарастить или укоротить пул строк до размера окна
+        while (pool.length < count) {
+            const row = createRow();
+            pool.push(row);
+            windowEl.append(row.container);
+        }
+        pool.splice(count).forEach(row => row.container.remove());
+
+        pool.forEach((row, i) => {
+            const item = data[first + i];
+            if (row.item !== item) {
+                fillRow(row, item);
+                row.item = item;
+            }
+        });
+
+        windowEl.style.transform = `translateY(${first * rowHeight}px)`;
+    };
+
+    const scheduleUpdate = () => {
+        if (active && frame === null) {
+            frame = requestAnimationFrame(update);
+        }
+    };
+    viewport.addEventListener('scroll', scheduleUpdate);
+
+    const render = (nextData) => {
+        data = nextData;
+        if (!active) {
+            active = true;
+            viewport.classList.add('virtual');
+            viewport.style.setProperty('--virtual-height', height);
+            viewport.replaceChildren(spacer);
+            measure();
+        }
+        spacer.style.height = `${data.length * rowHeight}px`;
+        // после сужения выборки прокрутка может оказаться за концом списка
+        viewport.scrollTop = Math.min(viewport.scrollTop, Math.max(0, data.length * rowHeight - viewport.clientHeight));
+        update();
+    };
+
+    // вернуть контейнер в обычный режим, когда виртуализация больше не нужна
+    const reset = () => {
+        if (!active) {
+            return;
+        }
+        active = false;
+        if (frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+        viewport.classList.remove('virtual');
+        viewport.scrollTop = 0;
+        pool.splice(0).forEach(row => row.container.remove());
+        spacer.remove();
+        data = [];
+    };
+
+    return {render, reset, isActive: () => active};
+}
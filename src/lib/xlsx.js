@@ -0,0 +1,96 @@
+/**
+ * Минимальная запись книги Excel (XLSX) с одним листом
+ *
+ * Книга содержит только обязательные части формата Office Open XML:
+ * описание типов, связи, книгу и лист. Строки записываются прямо в ячейки
+ * (inline strings), без общей таблицы строк и стилей — этого достаточно,
+ * чтобы Excel, LibreOffice и Google Таблицы открыли файл.
+ */
+
+import {createZip} from "./zip.js";
+
+const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Экранирование текста для XML; управляющие символы в XML 1.0 недопустимы и удаляются
+const escapeXml = (value) => String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Буквенное имя колонки: 0 -> A, 25 -> Z, 26 -> AA
+ * @param {number} index
+ * @returns {string}
+ */
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+};
+
+/**
+ * Ячейка листа: числа записываются как числа, остальное — как текст
+ */
+const cell = (value, ref) => typeof value === 'number' && Number.isFinite(value)
+    ? `<c r="${ref}"><v>${value}</v></c>`
+    : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? '')}</t></is></c>`;
+
+/**
+ * Создаёт XLSX-файл
+ *
+ * @param {Array<Array<string | number>>} rows - Строки листа, первая — заголовки
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Sheet1'] - Название листа (до 31 символа)
+ * @returns {Uint8Array} - Содержимое файла
+ */
+export function createXlsx(rows, {sheetName = 'Sheet1'} = {}) {
+    const sheetData = rows.map((row, rowIndex) =>
+        `<row r="${rowIndex + 1}">${row.map((value, colIndex) => cell(value, `${columnName(colIndex)}${rowIndex + 1}`)).join('')}</row>`
+    ).join('');
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: xmlHeader +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetData}</sheetData>` +
+                '</worksheet>'
+        }
+    ]);
+}
@@ -0,0 +1,111 @@
+/**
+ * Минимальная запись ZIP-архивов без сжатия
+ *
+ * Используется для выгрузки XLSX: файл XLSX — это ZIP-архив с XML-файлами.
+ * Файлы сохраняются методом «store» (без сжатия), поэтому достаточно
+ * посчитать контрольную сумму CRC-32 и записать заголовки архива.
+ */
+
+// Таблица CRC-32 (полином 0xEDB88320), вычисляется один раз при загрузке модуля
+const crcTable = Array.from({length: 256}, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Контрольная сумма CRC-32
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Время и дата в формате MS-DOS, который используется в заголовках ZIP
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Создаёт ZIP-архив
+ *
+ * @param {Array<{name: string, data: string | Uint8Array}>} files - Файлы архива; строки кодируются в UTF-8
+ * @returns {Uint8Array} - Содержимое архива
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const {time, date} = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        // локальный заголовок файла
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);        // версия для распаковки
+        local.setUint16(6, 0x0800, true);    // имена файлов в UTF-8
+        local.setUint16(8, 0, true);         // без сжатия
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        // запись центрального каталога
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+    // конец центрального каталога
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
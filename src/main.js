@@ -1,21 +1,36 @@
 import './fonts/ys-display/fonts.css'
 import './style.css'
 
-import {data as sourceData} from "./data/dataset_1.js";
+import {sources} from "./data/sources.js";
 
-import {initData} from "./data.js";
+import {createLocalApi} from "./data/api.js";
+import {columns, filters, format, queryOptions} from "./columns.js";
 import {processFormData} from "./lib/utils.js";
+import {getVisibleColumns} from "./lib/schema.js";
 import {initTable} from "./components/table.js";
 import {initPagination} from "./components/pagination.js";
 import {initSorting} from "./components/sorting.js";
 import {initFiltering} from "./components/filtering.js";
 import {initSearching} from "./components/searching.js";
+import {initLineItems} from "./components/items.js";
+import {initNotices} from "./components/notices.js";
+import {initImporting} from "./components/importing.js";
+import {initExporting} from "./components/exporting.js";
+import {initHistory} from "./components/history.js";
+import {initChips} from "./components/chips.js";
+import {initViews} from "./components/views.js";
+import {collections, parseImportFiles} from "./lib/import.js";
+import {validateSource, checkLabels} from "./lib/validate.js";
+import {parseQuery, serializeQuery} from "./lib/query.js";
 
 // подключение
 
 
-// Исходные данные используемые в render()
-const {data, ...indexes} = initData(sourceData);
+// Исходные данные текущего источника (для удалённого источника — null) и доступ к его строкам
+let sourceData = null;
+let api = null;
+// номер последней перерисовки: ответы на устаревшие запросы не выводятся
+let renderId = 0;
 
 /**
  * Сбор и обработка полей из таблицы
@@ -23,7 +38,7 @@ const {data, ...indexes} = initData(sourceData);
  */
 function collectState() {
     const state = processFormData(new FormData(sampleTable.container));
-    const rowsPerPage = parseInt(state.rowsPerPage);
+    const rowsPerPage = state.rowsPerPage === 'all' ? Infinity : parseInt(state.rowsPerPage);
     const page = parseInt(state.page ?? 1);
 
     return {
@@ -34,31 +49,120 @@ function collectState() {
 
 }
 
+/**
+ * Параметры адреса страницы для состояния таблицы: источник и запрос
+ * @param {Object} query
+ * @returns {URLSearchParams}
+ */
+function toUrlParams(query) {
+    const params = new URLSearchParams({source: sampleTable.search.elements.sourceSelect.dataset.current});
+    serializeQuery(query).forEach((value, name) => params.append(name, value));
+    // вывод всех строк сохраняем явно: без параметра limit восстанавливается число строк по умолчанию
+    if (!Number.isFinite(query.limit)) {
+        params.set('limit', 'all');
+    }
+    return params;
+}
+
+/**
+ * Восстановление полей таблицы по параметрам адреса
+ * @param {URLSearchParams} params
+ */
+function restoreState(params) {
+    const query = parseQuery(params);
+    const {rowsPerPage} = sampleTable.pagination.elements;
+
+    sampleTable.search.elements.search.value = query.search;
+    sampleTable.search.elements.fuzzy.checked = query.fuzzy;
+    restoreFiltering(query.filter);
+    restoreSorting(query.sort);
+    rowsPerPage.value = !params.has('limit') ? rowsPerPage.options[0].value
+        : Number.isFinite(query.limit) ? String(query.limit) : 'all';
+    if (rowsPerPage.selectedIndex === -1) {
+        rowsPerPage.value = rowsPerPage.options[0].value;
+    }
+    restorePagination(query.page);
+}
+
+/**
+ * Запрос к строкам по состоянию полей таблицы
+ * @param {Object} state - результат collectState()
+ * @param {HTMLButtonElement?} action
+ * @returns {Object}
+ */
+function buildQuery(state, action) {
+    let query = {}; // запрос к строкам собирается по шагам
+    // использование
+    query = applySearching(query, state, action);
+    query = applyFiltering(query, state, action);
+    query = applySorting(query, state, action);
+    query = applyPagination(query, state, action);
+    return query;
+}
+
 /**
  * Перерисовка состояния таблицы при любых изменениях
  * @param {HTMLButtonElement?} action
+ * @param {'push' | 'replace' | 'none'} [historyMode] - как записать новое состояние в историю браузера
  */
-function render(action) {
+async function render(action, historyMode = 'push') {
+    const id = ++renderId;
     let state = collectState(); // состояние полей из таблицы
-    let result = [...data]; // копируем для последующего изменения
-    // использование
-    result = applySearching(result, state, action);
-    result = applyFiltering(result, state, action);
-    result = applySorting(result, state, action);
-    result = applyPagination(result, state, action);
-    sampleTable.render(result)
+    let query = buildQuery(state, action);
+    // источник ещё загружается: поля формы уже обновлены, таблицу перерисует loadSource()
+    if (!api) {
+        return;
+    }
+    updateChips(query);
+
+    try {
+        let {total, items, facets} = await api.getRecords(query);
+        // страница за пределами сократившейся выборки: запрашивается последняя
+        const clamped = clampPagination(total, query);
+        if (clamped !== query) {
+            query = clamped;
+            ({items} = await api.getRecords(query));
+        }
+
+        // выгрузка: все найденные строки в текущем порядке или только текущая страница;
+        // выполняется, даже если за время запроса таблица уже перерисовывалась
+        if (action?.name === 'export') {
+            const rows = state.exportScope === 'page'
+                ? items
+                : (await api.getRecords({...query, page: 1, limit: Infinity})).items;
+            exportRows(rows, action.value, query);
+        }
+        if (id !== renderId) {
+            return;
+        }
+
+        updatePagination(total, query);
+        updateFacets(facets);
+        sampleTable.setVisibleColumns(getVisibleColumns(columns, query).map(({key}) => key));
+        sampleTable.render(items)
+        urlHistory.save(toUrlParams(query), historyMode);
+    } catch (e) {
+        notices.show('source', {title: 'Cannot load rows', messages: [e.message]});
+    }
 }
 
 const sampleTable = initTable({
     tableTemplate: 'table',
-    rowTemplate: 'row',
-    before: ['search','header', 'filter'],
+    columns,
+    filters,
+    virtual: {threshold: 100, buffer: 10},
+    details: initLineItems({template: 'lineItems', rowTemplate: 'lineItem'}, {
+        price: format.currency,
+        discount: format.currency,
+        subtotal: format.currency
+    }),
+    before: ['search', 'activeFilters', 'notices', 'header', 'filter'],
     after: ['pagination']
 }, render);
 
 // инициализация
 
-const applyPagination = initPagination(
+const {applyPagination, updatePagination, clampPagination, restorePagination} = initPagination(
     sampleTable.pagination.elements,
     (el, page, isCurrent) => {
         const input = el.querySelector('input');
@@ -69,18 +173,197 @@ const applyPagination = initPagination(
         return el;
     }
 );
-const applySorting = initSorting([ 
-    sampleTable.header.elements.sortByDate,
-    sampleTable.header.elements.sortByTotal
-]);
+const {applySorting, restoreSorting} = initSorting(sampleTable.header, columns);
 
-const applySearching = initSearching('search');
+const applySearching = initSearching('search', sampleTable.search.elements, queryOptions);
 
-const applyFiltering = initFiltering(sampleTable.filter.elements, {
-    searchBySeller: indexes.sellers
-}); 
+const {applyFiltering, updateIndexes, updateFacets, restoreFiltering} = initFiltering(sampleTable.filter.elements);
+
+const exportRows = initExporting(columns, {fileName: 'receipts'});
+
+// чипы активных фильтров; покупатель и товар в запросе — идентификаторы, подписи берутся из справочников источника
+const updateChips = initChips(sampleTable.activeFilters, 'filterChip', {
+    fields: [{key: 'search', label: 'Search'}, ...[...columns, ...filters].filter(column => column.filter)],
+    labels: {
+        customer: (id) => api.indexes.customers[id] ?? id,
+        product: (sku) => api.indexes.products[sku] ?? sku
+    }
+});
+
+/**
+ * Загрузка источника данных: пересчёт строк и индексов, обновление списков фильтров,
+ * переход на первую страницу и перерисовка
+ *
+ * Локальный источник (load) загружается целиком и проверяется, удалённый (connect)
+ * отдаёт строки постранично через API, проверка данных — на его стороне.
+ * Если переданы параметры адреса, поля таблицы восстанавливаются по ним вместо перехода на первую страницу.
+ * @param {{id: string, label: string, load?: () => Promise<Object>, connect?: () => Promise<Object>}} source
+ * @param {{params?: URLSearchParams, history?: 'push' | 'replace' | 'none'}} [options]
+ */
+async function loadSource(source, {params, history = 'push'} = {}) {
+    const {sourceSelect} = sampleTable.search.elements;
+    sampleTable.container.setAttribute('aria-busy', 'true');
+    sourceSelect.value = source.id;
+    sourceSelect.disabled = true;
+
+    try {
+        let nextData = null;
+        let nextApi;
+        if (source.connect) {
+            nextApi = await source.connect();
+            notices.clear('validation');
+        } else {
+            nextData = await source.load();
+            showValidation(validateSource(nextData));
+            nextApi = createLocalApi(nextData);
+        }
+        sourceData = nextData;
+        api = nextApi;
+
+        const {indexes} = api;
+        notices.clear('source');
+        updateIndexes({
+            searchBySeller: indexes.sellers,
+            searchByCustomer: Object.entries(indexes.customers).map(([id, name]) => [id, name, indexes.customerDetails?.[id]]),
+            searchByProduct: Object.entries(indexes.products).map(([sku, name]) => [sku, `${name} (${sku})`]),
+            searchByCategory: indexes.categories
+        });
+        sourceSelect.dataset.current = source.id;
+        if (params) {
+            restoreState(params);
+            await render(undefined, history);
+        } else {
+            await render(sampleTable.pagination.elements.firstPage, history);
+        }
+    } catch (e) {
+        notices.show('source', {title: `Cannot load ${source.label}`, messages: [e.message]});
+        // остаёмся на прежнем источнике, а если его ещё нет (например, ссылка на недоступный API) — открываем первый
+        sourceSelect.value = sourceSelect.dataset.current ?? '';
+        if (!api && source !== sources[0]) {
+            loadSource(sources[0], {history: 'replace'});
+        }
+    } finally {
+        sampleTable.container.removeAttribute('aria-busy');
+        sourceSelect.disabled = false;
+    }
+}
+
+/**
+ * Вывод отчёта о проверке источника: число проблем по проверкам и идентификаторы чеков
+ * @param {Object} report - результат validateSource()
+ */
+function showValidation(report) {
+    if (report.valid) {
+        notices.clear('validation');
+        return;
+    }
+    // по чекам — сводка по проверкам, по справочникам — каждая проблема отдельно
+    const receiptLines = Object.entries(report.receipts).map(([check, ids]) =>
+        `${checkLabels[check]}: ${ids.length} receipt(s) — ${ids.slice(0, 10).join(', ')}${ids.length > 10 ? ', …' : ''}`);
+    const otherLines = report.issues
+        .filter(({collection}) => collection !== 'purchase_records')
+        .map(({collection, id, message}) => `${collection}${id ? ` ${id}` : ''}: ${message}`);
+
+    notices.show('validation', {
+        type: 'warning',
+        title: `Data check: ${report.counts.invalidReceipts} of ${report.counts.records.purchase_records} receipts have problems (${report.counts.issues} issue(s) in total)`,
+        messages: [...receiptLines, ...otherLines]
+    });
+}
+
+/**
+ * Добавление источника в список источников
+ * @param {{id: string, label: string}} source
+ */
+function addSourceOption(source) {
+    const option = document.createElement('option');
+    option.value = source.id;
+    option.textContent = source.label;
+    sampleTable.search.elements.sourceSelect.append(option);
+}
+
+const {sourceSelect} = sampleTable.search.elements;
+sources.forEach(addSourceOption);
+sourceSelect.addEventListener('change', (e) => {
+    // смену источника обрабатывает loadSource(): всплыв до таблицы, событие перерисовало бы старый источник
+    e.stopPropagation();
+    loadSource(sources.find(source => source.id === sourceSelect.value));
+});
+
+const notices = initNotices(sampleTable.notices.container, 'notice');
+
+// сохранённые представления: состояние таблицы без источника и номера страницы
+initViews(sampleTable.search.elements, 'savedView', {
+    getParams: () => {
+        const params = toUrlParams(buildQuery(collectState()));
+        params.delete('source');
+        params.delete('page');
+        return params;
+    },
+    onApply: (params) => {
+        restoreState(params);
+        render();
+    },
+    notify: (notice) => notices.show('views', notice)
+});
+
+// импорт файлов: недостающие коллекции берутся из текущего источника, результат становится новым источником
+initImporting(sampleTable.container, sampleTable.search.elements.importFile, (files) => {
+    const {source: imported, errors} = parseImportFiles(files);
+    const fileNames = files.map(file => file.name).join(', ');
+    const errorLines = errors.map(({file, location, message}) => `${file}, ${location}: ${message}`);
+
+    if (errors.length > 0) {
+        notices.show('import', {
+            title: `${errors.length} problem(s) in ${fileNames}; rows with errors were skipped`,
+            messages: errorLines
+        });
+    } else {
+        notices.clear('import');
+    }
+
+    if (Object.keys(imported).length === 0) {
+        return;
+    }
+
+    // у удалённого источника исходных данных нет, поэтому все коллекции должны прийти в файлах
+    const importedData = {...sourceData, ...imported};
+    const missing = Object.keys(collections).filter(key => !Array.isArray(importedData[key]));
+    if (missing.length > 0) {
+        notices.show('import', {
+            title: `Cannot import ${fileNames}: ${missing.join(', ')} missing`,
+            messages: [
+                sourceData
+                    ? `Add files with ${missing.join(', ')}`
+                    : `The current source is remote and cannot supply ${missing.join(', ')}: add files with them or switch to a local source`,
+                ...errorLines
+            ]
+        });
+        return;
+    }
+
+    const source = {id: `import-${sources.length + 1}`, label: `Imported: ${fileNames}`, load: async () => importedData};
+    sources.push(source);
+    addSourceOption(source);
+    loadSource(source);
+}, (e) => {
+    notices.show('import', {title: 'Cannot import files', messages: [e.message]});
+});
 
 const appRoot = document.querySelector('#app');
 appRoot.appendChild(sampleTable.container);
 
-render();
+// состояние таблицы в адресе страницы: при переходе по истории источник и поля восстанавливаются
+const findSource = (params) => sources.find(source => source.id === params.get('source')) ?? sources[0];
+const urlHistory = initHistory((params) => {
+    const source = findSource(params);
+    if (source.id !== sourceSelect.dataset.current) {
+        loadSource(source, {params, history: 'none'});
+    } else {
+        restoreState(params);
+        render(undefined, 'none');
+    }
+});
+
+const initialParams = urlHistory.read();
+loadSource(findSource(initialParams), {params: initialParams, history: 'replace'});
@@ -0,0 +1,53 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {createComparator, detectType} from "../src/lib/comparators.js";
+
+// значения в порядке сортировки заданным компаратором
+const sortWith = (values, options, direction = 1) => {
+    const compare = createComparator(options);
+    return values.toSorted((a, b) => compare(a, b, direction));
+};
+
+describe('detectType', () => {
+    it('picks the type all filled values share', () => {
+        assert.equal(detectType([10, '2.5', ' 3 ', null]), 'number');
+        assert.equal(detectType(['2023-12-04', '2023-12-04T10:15:00Z', '']), 'date');
+        assert.equal(detectType(['$1,200.50', '1 200,50 ₽']), 'currency');
+    });
+
+    it('falls back to strings for mixed or empty columns', () => {
+        assert.equal(detectType([10, 'ten']), 'string');
+        assert.equal(detectType(['2023-12-04', 5]), 'string');
+        assert.equal(detectType([null, undefined, '  ']), 'string');
+    });
+});
+
+describe('createComparator', () => {
+    it('compares numbers by value, not as text', () => {
+        assert.deepEqual(sortWith(['10', 9, '100', 2.5], {type: 'number'}), [2.5, 9, '10', '100']);
+    });
+
+    it('compares ISO dates by time', () => {
+        assert.deepEqual(
+            sortWith(['2023-12-04T10:00:00Z', '2023-11-30', '2023-12-04'], {type: 'date'}),
+            ['2023-11-30', '2023-12-04', '2023-12-04T10:00:00Z']
+        );
+    });
+
+    it('compares currency amounts in any notation', () => {
+        assert.deepEqual(sortWith(['$1,200.50', '$99', '1 000,25 €'], {type: 'currency'}), ['$99', '1 000,25 €', '$1,200.50']);
+    });
+
+    it('compares strings by locale, ignoring case, with numbers in natural order', () => {
+        assert.deepEqual(sortWith(['receipt_10', 'Receipt_2', 'receipt_1'], {type: 'string', locale: 'en-US'}),
+            ['receipt_1', 'Receipt_2', 'receipt_10']);
+    });
+
+    it('keeps empty and unparseable values last in both directions', () => {
+        const values = [3, '', 1, null, 'n/a', NaN, 2];
+        assert.deepEqual(sortWith(values, {type: 'number'}).slice(0, 3), [1, 2, 3]);
+        assert.deepEqual(sortWith(values, {type: 'number'}, -1).slice(0, 3), [3, 2, 1]);
+        assert.deepEqual(sortWith(values, {type: 'number', empty: 'first'}).slice(-3), [1, 2, 3]);
+    });
+});
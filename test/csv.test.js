@@ -0,0 +1,32 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {parseCsv, toCsv} from "../src/lib/csv.js";
+
+describe('parseCsv', () => {
+    it('reads quoted fields with delimiters, quotes and line breaks', () => {
+        const {headers, records, errors} = parseCsv('name,note\n"Petrov, Ivan","say ""hi""\nbye"\n');
+        assert.deepEqual(headers, ['name', 'note']);
+        assert.deepEqual(records.map(({values}) => values), [{name: 'Petrov, Ivan', note: 'say "hi"\nbye'}]);
+        assert.deepEqual(errors, []);
+    });
+
+    it('detects the semicolon delimiter and drops the BOM', () => {
+        const {headers, records} = parseCsv('\uFEFFid;name\n1;Ivan\n');
+        assert.deepEqual(headers, ['id', 'name']);
+        assert.deepEqual(records[0].values, {id: '1', name: 'Ivan'});
+    });
+});
+
+describe('toCsv', () => {
+    it('starts with a BOM and quotes fields that need it', () => {
+        assert.equal(toCsv([['name', 'note'], ['Petrov, Ivan', 'say "hi"']]),
+            '\uFEFFname,note\r\n"Petrov, Ivan","say ""hi"""\r\n');
+    });
+
+    it('round-trips through parseCsv', () => {
+        const rows = [['id', 'text'], ['1', 'a, b'], ['2', 'two\nlines']];
+        const {records} = parseCsv(toCsv(rows));
+        assert.deepEqual(records.map(({values}) => [values.id, values.text]), rows.slice(1));
+    });
+});
@@ -0,0 +1,44 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {getPresetRange, isIsoDate} from "../src/lib/dates.js";
+
+describe('isIsoDate', () => {
+    it('accepts dates with and without time', () => {
+        ['2023-12-04', '2023-12-04T10:15', '2023-12-04T10:15:00.250Z', '2023-12-04T10:15:00+03:00']
+            .forEach(value => assert.ok(isIsoDate(value), value));
+    });
+
+    it('rejects partial, malformed and impossible dates', () => {
+        ['2023-12-04T', '2023-12', '2023-12-04 extra', '04.12.2023', '2023-13-01', '', null, 20231204]
+            .forEach(value => assert.ok(!isIsoDate(value), String(value)));
+    });
+});
+
+describe('getPresetRange', () => {
+    // 15 февраля 2024 года — високосный год, второй месяц первого квартала
+    const today = new Date(2024, 1, 15);
+    const range = (key) => getPresetRange(key, today);
+
+    it('counts day ranges back from today inclusively', () => {
+        assert.deepEqual(range('last-7-days'), ['2024-02-09', '2024-02-15']);
+        assert.deepEqual(range('last-30-days'), ['2024-01-17', '2024-02-15']);
+    });
+
+    it('covers whole calendar months, quarters and years', () => {
+        assert.deepEqual(range('this-month'), ['2024-02-01', '2024-02-29']);
+        assert.deepEqual(range('last-month'), ['2024-01-01', '2024-01-31']);
+        assert.deepEqual(range('this-quarter'), ['2024-01-01', '2024-03-31']);
+        assert.deepEqual(range('last-quarter'), ['2023-10-01', '2023-12-31']);
+        assert.deepEqual(range('this-year'), ['2024-01-01', '2024-12-31']);
+    });
+
+    it('crosses the year boundary in January', () => {
+        assert.deepEqual(getPresetRange('last-month', new Date(2024, 0, 10)), ['2023-12-01', '2023-12-31']);
+        assert.deepEqual(getPresetRange('last-7-days', new Date(2024, 0, 3)), ['2023-12-28', '2024-01-03']);
+    });
+
+    it('returns null for an unknown preset', () => {
+        assert.equal(getPresetRange('next-week', today), null);
+    });
+});
@@ -0,0 +1,50 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {fuzzyScore, levenshtein, maxTypos} from "../src/lib/fuzzy.js";
+
+describe('levenshtein', () => {
+    it('counts insertions, deletions and substitutions', () => {
+        assert.equal(levenshtein('aleksey', 'alexey'), 2);
+        assert.equal(levenshtein('', 'abc'), 3);
+        assert.equal(levenshtein('petrov', 'petrov'), 0);
+    });
+
+    it('stops past the maximum distance', () => {
+        assert.equal(levenshtein('aleksey', 'smirnov', 2), 3);
+        assert.equal(levenshtein('a', 'abcdef', 2), 3);
+    });
+});
+
+describe('maxTypos', () => {
+    it('grows with the word length', () => {
+        assert.deepEqual(['ivan', 'petro', 'aleksey'].map(maxTypos), [1, 1, 2]);
+        assert.equal(maxTypos('ivn'), 0);
+    });
+
+    it('allows no typos in text with digits', () => {
+        assert.deepEqual(['2023-12-05', 'SKU_027', 'customer_10'].map(maxTypos), [0, 0, 0]);
+    });
+});
+
+describe('fuzzyScore', () => {
+    it('ranks exact, word, prefix and substring matches above typos', () => {
+        const scores = ['Alexey Petrov', 'Alexey', 'Petrov Alexey', 'Alexeyev', 'Malexey', 'Aleksey']
+            .map(text => fuzzyScore('alexey', text));
+        assert.deepEqual(scores.slice(0, 5), [0.9, 1, 0.9, 0.8, 0.7]);
+        assert.ok(scores[5] > 0 && scores[5] < 0.6);
+    });
+
+    it('ignores case, diacritics and extra spaces', () => {
+        assert.equal(fuzzyScore(' Alekséy  Petrov', 'aleksey petrov'), 1);
+    });
+
+    it('finds an unfinished word with a typo', () => {
+        assert.ok(fuzzyScore('petrv', 'Anna Petrova') > 0);
+    });
+
+    it('does not match identifiers that differ by a digit', () => {
+        assert.equal(fuzzyScore('SKU_027', 'SKU_021'), 0);
+        assert.equal(fuzzyScore('2023-12-05', '2023-12-04'), 0);
+    });
+});
@@ -0,0 +1,89 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {parseImportFiles} from "../src/lib/import.js";
+
+// CSV чеков по строке на позицию: заголовок и строки без него
+const receiptsCsv = (...lines) => [
+    'receipt_id,date,seller_id,customer_id,total_amount,sku,quantity,sale_price',
+    ...lines
+].join('\n');
+
+const messages = (errors) => errors.map(({location, message}) => `${location}: ${message}`);
+
+describe('parseImportFiles', () => {
+    it('groups item rows into receipts', () => {
+        const {source, errors} = parseImportFiles([{name: 'purchases.csv', text: receiptsCsv(
+            'r1,2023-12-04,s1,c1,30,SKU_1,1,10',
+            'r1,2023-12-04,s1,c1,30,SKU_2,2,10'
+        )}]);
+        assert.deepEqual(errors, []);
+        assert.equal(source.purchase_records.length, 1);
+        assert.deepEqual(source.purchase_records[0].items.map(item => item.sku), ['SKU_1', 'SKU_2']);
+    });
+
+    it('reports every row without a receipt id', () => {
+        const {source, errors} = parseImportFiles([{name: 'purchases.csv', text: receiptsCsv(
+            ',2023-12-04,s1,c1,10,SKU_1,1,10',
+            ',2023-12-05,s2,c2,20,SKU_2,2,10',
+            'r1,2023-12-04,s1,c1,10,SKU_1,1,10'
+        )}]);
+        assert.deepEqual(messages(errors), [
+            'line 2: Missing required field "receipt_id"',
+            'line 3: Missing required field "receipt_id"'
+        ]);
+        assert.deepEqual(source.purchase_records.map(record => record.receipt_id), ['r1']);
+    });
+
+    it('rejects a receipt whose rows disagree on its fields', () => {
+        const {source, errors} = parseImportFiles([{name: 'purchases.csv', text: receiptsCsv(
+            'r1,2023-12-04,s1,c1,30,SKU_1,1,10',
+            'r1,2023-12-05,s1,c1,30,SKU_2,2,10',
+            'r1,2023-12-04,s1,c1,30,SKU_3,1,10',
+            'r2,2023-12-04,s1,c1,10,SKU_1,1,10'
+        )}]);
+        assert.deepEqual(messages(errors), [
+            'line 3: Field "date" is "2023-12-05", but line 2 of the same receipt has "2023-12-04"',
+            'line 4: Receipt "r1" is skipped because of errors on line 3'
+        ]);
+        assert.deepEqual(source.purchase_records.map(record => record.receipt_id), ['r2']);
+    });
+
+    it('rejects duplicate ids in JSON and across files', () => {
+        const receipt = {receipt_id: 'r1', date: '2023-12-04', seller_id: 's1', customer_id: 'c1', total_amount: 10,
+            items: [{sku: 'SKU_1', quantity: 1, sale_price: 10}]};
+        const {source, errors} = parseImportFiles([
+            {name: 'a.json', text: JSON.stringify({purchase_records: [receipt, {...receipt, total_amount: 20}]})},
+            {name: 'b.csv', text: receiptsCsv('r1,2023-12-04,s1,c1,10,SKU_1,1,10')}
+        ]);
+        assert.deepEqual(errors.map(({file, location, message}) => `${file}, ${location}: ${message}`), [
+            'a.json, purchase_records[1]: Duplicate receipt_id "r1", already used in purchase_records[0]',
+            'b.csv, line 2: Duplicate receipt_id "r1", already used in a.json, purchase_records[0]'
+        ]);
+        assert.deepEqual(source.purchase_records.map(record => record.total_amount), [10]);
+    });
+
+    it('picks the collection by columns before the file name', () => {
+        const {source} = parseImportFiles([
+            {name: 'sellers.csv', text: receiptsCsv('r1,2023-12-04,s1,c1,10,SKU_1,1,10')},
+            {name: 'customers.csv', text: 'id,first_name,last_name\nc1,Anna,Ivanova'}
+        ]);
+        assert.deepEqual(Object.keys(source).sort(), ['customers', 'purchase_records']);
+    });
+
+    it('reports a CSV file of an unknown collection', () => {
+        const {source, errors} = parseImportFiles([{name: 'data.csv', text: 'a,b\n1,2'}]);
+        assert.deepEqual(source, {});
+        assert.deepEqual(messages(errors), ['header: Cannot tell which collection the columns belong to: a, b']);
+    });
+
+    it('coerces values and reports wrong types per field', () => {
+        const {source, errors} = parseImportFiles([{name: 'products.csv', text: [
+            'sku,name,category,purchase_price,sale_price',
+            'SKU_1,Drill,Tools,"1 000,5",1200',
+            'SKU_2,Saw,Tools,cheap,10'
+        ].join('\n')}]);
+        assert.deepEqual(source.products, [{sku: 'SKU_1', name: 'Drill', category: 'Tools', purchase_price: 1000.5, sale_price: 1200}]);
+        assert.deepEqual(messages(errors), ['line 3: Field "purchase_price": "cheap" is not a number']);
+    });
+});
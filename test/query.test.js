@@ -0,0 +1,83 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {normalizeRange, parseQuery, runQuery, serializeQuery} from "../src/lib/query.js";
+import {initData} from "../src/data.js";
+import {queryOptions} from "../src/columns.js";
+import {data as dataset} from "../src/data/dataset_1.js";
+
+const {data} = initData(dataset);
+const count = (query) => runQuery(data, query, queryOptions).total;
+
+// запрос после записи в адрес и чтения обратно
+const roundTrip = (query) => parseQuery(new URLSearchParams(serializeQuery(query).toString()));
+
+describe('serializeQuery and parseQuery', () => {
+    it('restores the query written to the address', () => {
+        const query = {
+            page: 3, limit: 25, search: 'seller:"Ivan Petrov" OR total:>100', fuzzy: true,
+            sort: [{field: 'total', order: 'down'}, {field: 'date', order: 'up'}],
+            filter: {seller: ['Ivan Petrov', 'Anna Ivanova'], category: 'Tools & Paint', dateFrom: '2023-12-01'}
+        };
+        assert.deepEqual(roundTrip(query), query);
+    });
+
+    it('leaves out empty values and defaults', () => {
+        assert.equal(serializeQuery({page: 1, limit: Infinity, sort: [], search: '', fuzzy: false, filter: {seller: '', totalTo: undefined}}).toString(), 'page=1');
+        assert.deepEqual(parseQuery(new URLSearchParams('')), {page: 1, limit: Infinity, sort: [], search: '', fuzzy: false, filter: {}});
+    });
+
+    it('reads all rows from limit=all or a missing limit', () => {
+        assert.equal(serializeQuery({limit: Infinity}).has('limit'), false);
+        assert.equal(parseQuery(new URLSearchParams('limit=all')).limit, Infinity);
+        assert.equal(roundTrip({page: 2, limit: Infinity}).limit, Infinity);
+    });
+
+    it('selects the same rows after a round trip with single values and numeric bounds', () => {
+        const [customer] = data.map(row => row.customer_id);
+        const [seller] = data.map(row => row.seller);
+        const query = {page: 1, limit: Infinity, filter: {seller: [seller], customer: [customer], totalFrom: 100}};
+        const restored = roundTrip(query);
+        assert.deepEqual(restored.filter, {seller, customer, totalFrom: '100'});
+        const ids = (result) => result.items.map(row => row.id);
+        const expected = ids(runQuery(data, query, queryOptions));
+        assert.ok(expected.length > 0);
+        assert.deepEqual(ids(runQuery(data, restored, queryOptions)), expected);
+    });
+});
+
+describe('normalizeRange', () => {
+    it('parses localized numbers and drops unparseable bounds', () => {
+        assert.deepEqual(normalizeRange(['1 000', '12a'], 'range'), {range: [1000, ''], reversed: false});
+    });
+
+    it('swaps reversed numeric and date bounds', () => {
+        assert.deepEqual(normalizeRange(['$3 000', '2,000.5'], 'range'), {range: [2000.5, 3000], reversed: true});
+        assert.deepEqual(normalizeRange(['2023-12-20', '2023-12-04'], 'dateRange'), {range: ['2023-12-04', '2023-12-20'], reversed: true});
+    });
+
+    it('keeps a single bound as an open range', () => {
+        assert.deepEqual(normalizeRange([undefined, '2023-12-04'], 'dateRange'), {range: ['', '2023-12-04'], reversed: false});
+    });
+});
+
+describe('runQuery fuzzy search', () => {
+    it('returns the source rows unless results are ranked', () => {
+        const [row] = runQuery(data, {search: 'Petrov', limit: 1}, queryOptions).items;
+        assert.ok(data.includes(row));
+        const [ranked] = runQuery(data, {search: 'Petrov', fuzzy: true, limit: 1}, queryOptions).items;
+        assert.ok(!data.includes(ranked));
+        assert.equal(ranked.score, 90);
+    });
+
+    it('keeps product and category conditions exact', () => {
+        assert.equal(count({search: 'product:SKU_027', fuzzy: true}), count({search: 'product:SKU_027'}));
+        assert.equal(count({search: 'category:tols', fuzzy: true}), 0);
+    });
+
+    it('finds names with typos and ranks closer spellings first', () => {
+        const {items} = runQuery(data, {search: 'seller:aleksey', fuzzy: true, limit: Infinity}, queryOptions);
+        assert.ok(items.length > count({search: 'seller:aleksey'}));
+        assert.deepEqual(items.map(item => item.score), items.map(item => item.score).sort((a, b) => b - a));
+    });
+});
@@ -0,0 +1,91 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {compileSearch, parseSearch} from "../src/lib/search.js";
+import {queryOptions} from "../src/columns.js";
+
+const parse = (text) => parseSearch(text, queryOptions);
+
+// строки данных в том виде, в каком их готовит initData()
+const rows = [
+    {id: 'r1', date: '2023-12-04', customer: 'Anna Ivanova', seller: 'Ivan Petrov', total: 1500, product: ['SKU_1'], category: ['Tools']},
+    {id: 'r2', date: '2023-11-30', customer: 'Petr Smirnov', seller: 'Alexey Petrov', total: 50, product: ['SKU_2'], category: ['Paint']},
+    {id: 'r3', date: '2024-01-15', customer: 'Ivan Volkov', seller: 'Petr Alekseev', total: 700, product: ['SKU_1', 'SKU_3'], category: ['Tools', 'Paint']}
+];
+const find = (text, options = {}) => {
+    const {query, error} = parse(text);
+    assert.equal(error, undefined);
+    const score = compileSearch(query, {searchFields: queryOptions.searchFields, ...options});
+    return rows.filter(row => score(row) > 0).map(row => row.id);
+};
+
+describe('parseSearch', () => {
+    it('returns no query for an empty string', () => {
+        assert.deepEqual(parse('  '), {query: null});
+    });
+
+    it('builds a tree of terms with AND binding tighter than OR', () => {
+        assert.deepEqual(parse('a b OR -seller:c').query, {type: 'or', items: [
+            {type: 'and', items: [{type: 'term', kind: 'search', value: 'a'}, {type: 'term', kind: 'search', value: 'b'}]},
+            {type: 'not', item: {type: 'term', kind: 'text', field: 'seller', value: 'c'}}
+        ]});
+    });
+
+    it('turns dates into periods and numbers into bounds', () => {
+        assert.deepEqual(parse('date:2023-12').query, {type: 'term', kind: 'range', field: 'date', value: ['2023-12-01', '2023-12-31']});
+        assert.deepEqual(parse('date:>2023').query, {type: 'term', kind: 'compare', field: 'date', operator: '>', value: '2023-12-31'});
+        assert.deepEqual(parse('total:100..').query, {type: 'term', kind: 'range', field: 'total', value: [100, '']});
+        assert.deepEqual(parse('total:"1 000"').query, {type: 'term', kind: 'equal', field: 'total', value: 1000});
+    });
+
+    it('reports the position of the first problem', () => {
+        const cases = {
+            'seller:': [0, 'Missing value after "seller:"'],
+            'a "b': [2, 'Missing closing quote'],
+            '(a OR b': [0, 'Missing closing parenthesis'],
+            'a OR': [2, 'Expected a search term after OR'],
+            'total:abc': [0, '"total" expects a number, got "abc"'],
+            'date:2023-02-30': [0, '"date" expects a date like 2023, 2023-12 or 2023-12-04, got "2023-02-30"'],
+            'a )': [2, 'Unexpected ")"']
+        };
+        Object.entries(cases).forEach(([text, [position, message]]) => {
+            assert.deepEqual(parse(text).error, {message, position}, text);
+        });
+    });
+
+    it('does not accept fields that exist only after the search', () => {
+        const {error} = parse('Aleksey score:>10');
+        assert.equal(error.position, 8);
+        assert.match(error.message, /^Unknown field "score"/);
+    });
+});
+
+describe('compileSearch', () => {
+    it('matches words in any search field', () => {
+        assert.deepEqual(find('ivan petrov'), ['r1']);
+        assert.deepEqual(find('"ivan petrov"'), ['r1']);
+        assert.deepEqual(find('ivan'), ['r1', 'r3']);
+    });
+
+    it('applies field conditions by column type', () => {
+        assert.deepEqual(find('seller:petrov total:>100'), ['r1']);
+        assert.deepEqual(find('seller:="Ivan Petrov"'), ['r1']);
+        assert.deepEqual(find('date:2023-12'), ['r1']);
+        assert.deepEqual(find('total:50..700'), ['r2', 'r3']);
+    });
+
+    it('matches list fields by any element', () => {
+        assert.deepEqual(find('product:SKU_1 -category:paint'), ['r1']);
+    });
+
+    it('combines terms with OR, NOT and parentheses', () => {
+        assert.deepEqual(find('(seller:alexey OR seller:alekseev) -date:2024'), ['r2']);
+        assert.deepEqual(find('NOT ivan'), ['r2']);
+    });
+
+    it('tolerates typos in names only in fuzzy mode', () => {
+        assert.deepEqual(find('seller:aleksey'), []);
+        assert.deepEqual(find('seller:aleksey', {fuzzy: true}), ['r2', 'r3']);
+        assert.deepEqual(find('product:SKU_2', {fuzzy: true}), ['r2']);
+    });
+});
@@ -0,0 +1,49 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {sortCollection, sortCollectionByKeys} from "../src/lib/sort.js";
+
+const rows = [
+    {id: 1, seller: 'Petrov', total: 300, date: '2023-12-04'},
+    {id: 2, seller: 'Ivanov', total: 100, date: '2023-12-05'},
+    {id: 3, seller: 'Petrov', total: 100, date: '2023-12-01'},
+    {id: 4, seller: 'Ivanov', total: 300, date: '2023-11-30'},
+    {id: 5, seller: 'Petrov', total: 100, date: '2023-12-03'}
+];
+const ids = (items) => items.map(item => item.id);
+
+describe('sortCollectionByKeys', () => {
+    it('uses later keys only to order rows equal by earlier ones', () => {
+        const sorted = sortCollectionByKeys(rows, [
+            {field: 'seller', order: 'up'},
+            {field: 'total', order: 'down'},
+            {field: 'date', order: 'up'}
+        ]);
+        assert.deepEqual(ids(sorted), [4, 2, 1, 3, 5]);
+    });
+
+    it('follows the key priority, not the field order', () => {
+        const sorted = sortCollectionByKeys(rows, [
+            {field: 'total', order: 'up'},
+            {field: 'seller', order: 'down'}
+        ]);
+        assert.deepEqual(ids(sorted), [3, 5, 2, 1, 4]);
+    });
+
+    it('skips keys without a direction and keeps the input order for ties', () => {
+        const sorted = sortCollectionByKeys(rows, [
+            {field: 'seller', order: 'none'},
+            {field: 'total', order: 'up'}
+        ]);
+        assert.deepEqual(ids(sorted), [2, 3, 5, 1, 4]);
+    });
+
+    it('returns the same array when no key is active', () => {
+        assert.equal(sortCollectionByKeys(rows, []), rows);
+        assert.equal(sortCollectionByKeys(rows, [{field: 'total', order: 'none'}]), rows);
+    });
+
+    it('sorts like sortCollection for a single key', () => {
+        assert.deepEqual(sortCollectionByKeys(rows, [{field: 'date', order: 'down'}]), sortCollection(rows, 'date', 'down'));
+    });
+});
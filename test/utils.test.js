@@ -0,0 +1,41 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {parseLocaleNumber} from "../src/lib/utils.js";
+
+describe('parseLocaleNumber', () => {
+    it('accepts digit groups of three and one decimal separator', () => {
+        const cases = {
+            '1 000': 1000,
+            '1 000,5': 1000.5,
+            '2,000.5': 2000.5,
+            '1.000.000': 1000000,
+            "1'000": 1000,
+            '1000,5': 1000.5,
+            '1,5': 1.5,
+            '0,001': 0.001,
+            '.5': 0.5
+        };
+        Object.entries(cases).forEach(([text, number]) => assert.equal(parseLocaleNumber(text), number, text));
+    });
+
+    it('strips currency symbols and keeps the sign', () => {
+        assert.equal(parseLocaleNumber('$4,657.56'), 4657.56);
+        assert.equal(parseLocaleNumber('20 €'), 20);
+        assert.equal(parseLocaleNumber('-$20'), -20);
+        assert.equal(parseLocaleNumber('−1 000,5'), -1000.5);
+    });
+
+    it('reads a single separator before three digits by the locale', () => {
+        assert.equal(parseLocaleNumber('1.000'), 1);
+        assert.equal(parseLocaleNumber('1,000'), 1000);
+        assert.equal(parseLocaleNumber('1.000', 'de-DE'), 1000);
+        assert.equal(parseLocaleNumber('1,000', 'de-DE'), 1);
+    });
+
+    it('rejects misplaced separators and other text', () => {
+        ['1..2', '1,,5', '1,2,3', '1.2.3', '12,34,56', '1 2 3', '1,000,5', '5.', '12a', '', '-', '$']
+            .forEach(text => assert.ok(Number.isNaN(parseLocaleNumber(text)), text));
+        assert.ok(Number.isNaN(parseLocaleNumber(null)));
+    });
+});
@@ -0,0 +1,44 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {validateSource} from "../src/lib/validate.js";
+
+// набор из одного чека с одной позицией; поля чека и позиции можно заменить
+const makeSource = (receipt = {}, item = {}) => ({
+    sellers: [{id: 's1', first_name: 'Ivan', last_name: 'Petrov'}],
+    customers: [{id: 'c1', first_name: 'Anna', last_name: 'Ivanova'}],
+    products: [{sku: 'SKU_1', name: 'Drill', category: 'Tools', purchase_price: 5, sale_price: 10}],
+    purchase_records: [{
+        receipt_id: 'r1', date: '2023-12-04', seller_id: 's1', customer_id: 'c1', total_amount: 2678.26, total_discount: 0,
+        items: [{sku: 'SKU_1', quantity: 1, sale_price: 2678.25, discount: 0, ...item}],
+        ...receipt
+    }]
+});
+
+describe('validateSource', () => {
+    it('tolerates a one-cent rounding difference in the total', () => {
+        assert.equal(validateSource(makeSource()).valid, true);
+    });
+
+    it('reports totals that differ by more than a cent', () => {
+        const report = validateSource(makeSource({total_amount: 2678.28}));
+        assert.deepEqual(report.receipts, {total: ['r1']});
+        assert.equal(report.issues[0].message, 'total_amount 2678.28 differs from items total 2678.25');
+    });
+
+    it('applies item discounts before comparing', () => {
+        assert.equal(validateSource(makeSource({total_amount: 9}, {sale_price: 10, discount: 10})).valid, true);
+    });
+
+    it('reports unknown references and wrong types', () => {
+        const report = validateSource(makeSource({seller_id: 's2', date: '2023-13-01'}, {sku: 'SKU_2'}));
+        assert.deepEqual(Object.keys(report.receipts).sort(), ['date', 'seller', 'sku']);
+        assert.equal(report.counts.invalidReceipts, 1);
+    });
+
+    it('reports missing collections', () => {
+        const {valid, issues} = validateSource({...makeSource(), sellers: undefined});
+        assert.equal(valid, false);
+        assert.deepEqual(issues.map(({collection, check}) => `${collection}: ${check}`), ['sellers: required']);
+    });
+});
@@ -0,0 +1,6 @@
+import {defineConfig} from 'vite';
+import {mockApi} from './server/mock-api.js';
+
+export default defineConfig({
+    plugins: [mockApi()]
+});